@@ -1,3 +1,10 @@
 export { default } from "./src/style-observer.js";
 export { default as StyleObserver } from "./src/style-observer.js";
 export { default as ElementStyleObserver } from "./src/element-style-observer.js";
+export { default as StyleChangeEvent } from "./src/style-change-event.js";
+export { default as withStyleObserver } from "./src/with-style-observer.js";
+export { default as StyleObserverController } from "./src/style-observer-controller.js";
+export { default as createStyleStore } from "./src/style-store.js";
+export { styleSignal, styleComputed, setSignalAdapter, tc39Adapter } from "./src/signals.js";
+export { Backend, TransitionBackend, PollingBackend } from "./src/backends/index.js";
+export { numericTolerance, colorDeltaE } from "./src/comparators.js";
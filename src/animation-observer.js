@@ -0,0 +1,313 @@
+/**
+ * Monitor animations (CSS animations and Web Animations API) that may affect one or more properties of an element.
+ * While any such animation is running, the callback is called once per frame,
+ * or, in keyframes mode, only when an animation crosses a keyframe boundary.
+ * The callback is also called once when the last relevant animation stops running,
+ * so that the final value can be picked up.
+ *
+ * Animations are discovered when observing starts, on `animation*` events, and whenever `check()` is called.
+ * Since animation events do not cross shadow boundaries, they are listened to on every root up the shadow host chain.
+ * The roots are looked up again on every `check()`, so `check()` should be called when the element is moved to a different tree.
+ * Since the Web Animations API fires no events when animations start,
+ * animations created with `element.animate()` after observing started are only picked up by `check()`.
+ */
+import { getLonghands } from "./util.js";
+
+const EVENTS = ["animationstart", "animationiteration", "animationend", "animationcancel"];
+
+export default class AnimationObserver {
+	/**
+	 * The element being observed.
+	 * @type {Element | undefined}
+	 */
+	#element;
+
+	/**
+	 * The pseudo-element being observed, if any.
+	 * @type {string}
+	 */
+	#pseudo = "";
+
+	/**
+	 * The documents and shadow roots we are listening to animation events on,
+	 * i.e. the element’s root, and the roots of the shadow hosts it is in.
+	 * @type {(Document | ShadowRoot)[]}
+	 */
+	#roots = [];
+
+	/**
+	 * Observed properties, in the format they appear in keyframes (e.g. `backgroundColor`, `--foo`).
+	 * @type {Set<string>}
+	 */
+	#properties = new Set();
+
+	/**
+	 * The id of the pending animation frame, if sampling.
+	 * @type {number | undefined}
+	 */
+	#frame;
+
+	/**
+	 * The keyframe segment each animation was last in. Only used in keyframes mode.
+	 * @type {WeakMap<Animation, string>}
+	 */
+	#segments = new WeakMap();
+
+	/**
+	 * @param {() => void} callback
+	 * @param {object} [options]
+	 * @param {boolean} [options.keyframes] - Only call the callback at keyframe boundaries rather than every frame.
+	 */
+	constructor (callback, { keyframes = false } = {}) {
+		this.callback = callback;
+		this.keyframes = keyframes;
+	}
+
+	/**
+	 * Begin observing animations that affect an element, or update the observed properties.
+	 * @param {Element} element
+	 * @param {object} [options]
+	 * @param {string} [options.pseudo] - The pseudo-element to observe, if any.
+	 * @param {string[]} [options.properties] - The properties to observe.
+	 */
+	observe (element, { pseudo = "", properties = [] } = {}) {
+		if (element !== this.#element) {
+			this.unobserve();
+			this.#element = element;
+		}
+
+		this.#pseudo = pseudo;
+		this.#properties = new Set(properties.flatMap(property => getKeyframeProperties(property)));
+		this.check();
+	}
+
+	/**
+	 * Stop observing animations.
+	 */
+	unobserve () {
+		this.#element = undefined;
+		this.#listen();
+
+		if (this.#frame !== undefined) {
+			cancelAnimationFrame(this.#frame);
+			this.#frame = undefined;
+		}
+	}
+
+	/**
+	 * @param {AnimationEvent} event
+	 */
+	handleEvent (event) {
+		let target = /** @type {Element} */ (event.target);
+
+		// Only animations on the element or its ancestors can affect it
+		for (let element = this.#element; element; element = getParent(element)) {
+			if (element === target) {
+				this.check();
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Look for relevant running animations and start sampling if there are any.
+	 */
+	check () {
+		// The element may have been moved to a different tree since we last checked
+		this.#listen();
+
+		if (this.#frame === undefined && this.#getAnimations().length > 0) {
+			this.#frame = requestAnimationFrame(() => this.#sample());
+		}
+	}
+
+	/**
+	 * Listen to animation events on the roots the element is currently in (and stop listening on any others).
+	 * Animations on ancestors may affect inherited properties, so we need events from all of them.
+	 */
+	#listen () {
+		let roots = this.#element ? getRoots(this.#element) : [];
+
+		if (
+			roots.length === this.#roots.length &&
+			roots.every((root, i) => root === this.#roots[i])
+		) {
+			return;
+		}
+
+		for (let root of this.#roots) {
+			if (roots.includes(root)) {
+				continue;
+			}
+
+			let observers = AnimationObserver.#rootObservers.get(root);
+			observers?.delete(this);
+
+			if (observers?.size === 0) {
+				for (let type of EVENTS) {
+					root.removeEventListener(type, AnimationObserver.#handleRootEvent);
+				}
+
+				AnimationObserver.#rootObservers.delete(root);
+			}
+		}
+
+		for (let root of roots) {
+			let observers = AnimationObserver.#rootObservers.get(root);
+
+			if (!observers) {
+				observers = new Set();
+				AnimationObserver.#rootObservers.set(root, observers);
+
+				for (let type of EVENTS) {
+					root.addEventListener(type, AnimationObserver.#handleRootEvent);
+				}
+			}
+
+			observers.add(this);
+		}
+
+		this.#roots = roots;
+	}
+
+	/**
+	 * Called once per frame while relevant animations are running.
+	 */
+	#sample () {
+		let animations = this.#getAnimations();
+
+		if (animations.length === 0) {
+			// Pick up the final values
+			this.#frame = undefined;
+			this.callback();
+			return;
+		}
+
+		if (!this.keyframes || animations.some(animation => this.#crossedKeyframe(animation))) {
+			this.callback();
+		}
+
+		this.#frame = requestAnimationFrame(() => this.#sample());
+	}
+
+	/**
+	 * Check whether an animation has moved to a different keyframe segment (or iteration) since the last check.
+	 * @param {Animation} animation
+	 * @returns {boolean}
+	 */
+	#crossedKeyframe (animation) {
+		let { progress, currentIteration } = animation.effect.getComputedTiming();
+		let offsets = animation.effect.getKeyframes().map(keyframe => keyframe.computedOffset);
+		let index = offsets.filter(offset => offset <= progress).length;
+		let segment = `${currentIteration}:${index}`;
+
+		let crossed = this.#segments.get(animation) !== segment;
+		this.#segments.set(animation, segment);
+
+		return crossed;
+	}
+
+	/**
+	 * Get all running animations that may affect the observed properties,
+	 * either on the element itself or on its ancestors (for inherited properties).
+	 * @returns {Animation[]}
+	 */
+	#getAnimations () {
+		let ret = [];
+
+		for (let element = this.#element; element; element = getParent(element)) {
+			let pseudo = element === this.#element ? this.#pseudo : "";
+			let animations = element.getAnimations?.({ subtree: Boolean(pseudo) }) ?? [];
+
+			for (let animation of animations) {
+				let effect = animation.effect;
+
+				if (
+					animation.playState === "running" &&
+					effect?.target === element &&
+					(effect.pseudoElement ?? "") === pseudo &&
+					this.#affectsProperties(effect)
+				) {
+					ret.push(animation);
+				}
+			}
+		}
+
+		return ret;
+	}
+
+	/**
+	 * Check whether an animation effect animates any of the observed properties.
+	 * @param {KeyframeEffect} effect
+	 * @returns {boolean}
+	 */
+	#affectsProperties (effect) {
+		return effect.getKeyframes().some(keyframe => {
+			return Object.keys(keyframe).some(property => this.#properties.has(property));
+		});
+	}
+
+	/**
+	 * Observers listening to animation events on each document or shadow root,
+	 * so that there is a single set of listeners per root, regardless of how many elements are observed.
+	 * @type {WeakMap<Document | ShadowRoot, Set<AnimationObserver>>}
+	 */
+	static #rootObservers = new WeakMap();
+
+	/**
+	 * Pass animation events on a root to the observers listening to it.
+	 * @param {Event} event
+	 */
+	static #handleRootEvent = event => {
+		for (let observer of AnimationObserver.#rootObservers.get(event.currentTarget) ?? []) {
+			observer.handleEvent(/** @type {AnimationEvent} */ (event));
+		}
+	};
+}
+
+/**
+ * Get the parent of an element in the flat tree (crossing shadow boundaries).
+ * @param {Element} element
+ * @returns {Element | null}
+ */
+function getParent (element) {
+	return element.parentElement ?? element.getRootNode().host ?? null;
+}
+
+/**
+ * Get the root an element is in, followed by the roots of the shadow hosts it is nested in.
+ * @param {Element} element
+ * @returns {(Document | ShadowRoot)[]}
+ */
+function getRoots (element) {
+	let roots = [];
+
+	for (let node = element; node; ) {
+		let root = /** @type {Document | ShadowRoot} */ (node.getRootNode());
+		roots.push(root);
+		node = /** @type {ShadowRoot} */ (root).host;
+	}
+
+	return roots;
+}
+
+/**
+ * Get the names under which a property (and its longhands) may appear in keyframes.
+ * @param {string} property
+ * @returns {string[]}
+ */
+function getKeyframeProperties (property) {
+	if (property.startsWith("--")) {
+		return [property];
+	}
+
+	let properties = new Set([property, ...getLonghands(property)]);
+
+	return [...properties].map(property => {
+		if (property === "float") {
+			return "cssFloat";
+		}
+
+		return property.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+	});
+}
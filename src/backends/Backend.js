@@ -0,0 +1,59 @@
+/**
+ * Base class for change detection backends.
+ * A backend is responsible for noticing when observed properties of an `ElementStyleObserver` target *may* have changed,
+ * and calling `observer.check()` (or `observer.handleEvent()`) when they do.
+ * Reading the actual values and producing records is done by the observer, so backends never need to deal with records.
+ *
+ * Custom backends can be provided via the `backends` option or added to `ElementStyleObserver.backends`.
+ */
+export default class Backend {
+	/**
+	 * The properties this backend is responsible for.
+	 * @type {Set<string>}
+	 */
+	properties = new Set();
+
+	/**
+	 * @param {import("../element-style-observer.js").default} observer - The observer this backend detects changes for.
+	 */
+	constructor (observer) {
+		this.observer = observer;
+	}
+
+	/**
+	 * Start detecting changes to one or more properties.
+	 * @param {string[]} properties
+	 */
+	observe (properties) {
+		for (let property of properties) {
+			this.properties.add(property);
+		}
+	}
+
+	/**
+	 * Stop detecting changes to one or more properties.
+	 * @param {string[]} properties
+	 */
+	unobserve (properties) {
+		for (let property of properties) {
+			this.properties.delete(property);
+		}
+	}
+
+	/**
+	 * Stop detecting changes to all properties and release any resources.
+	 */
+	disconnect () {
+		this.unobserve([...this.properties]);
+	}
+
+	/**
+	 * Whether this backend can detect changes to a given property in the current browser.
+	 * @param {string} property
+	 * @param {import("../element-style-observer.js").default} observer
+	 * @returns {boolean}
+	 */
+	static supports (property, observer) {
+		return true;
+	}
+}
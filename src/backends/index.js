@@ -0,0 +1,3 @@
+export { default as Backend } from "./Backend.js";
+export { default as TransitionBackend } from "./transition.js";
+export { default as PollingBackend } from "./polling.js";
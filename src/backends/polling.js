@@ -0,0 +1,53 @@
+/**
+ * Detect changes by checking after style-affecting DOM mutations and polling once per frame.
+ * Works for any property in any browser, but is considerably more expensive than transitions,
+ * so it is only used for properties transitions cannot detect.
+ */
+import Backend from "./Backend.js";
+import PollingObserver from "../polling-observer.js";
+
+/**
+ * Backends for each polled element.
+ * @type {Map<Element, Set<PollingBackend>>}
+ */
+const backends = new Map();
+
+/**
+ * A single poller for all elements, so that the per-frame budget applies to all of them together.
+ */
+const poller = new PollingObserver(records => {
+	for (let { target } of records) {
+		for (let backend of backends.get(target) ?? []) {
+			backend.observer.check();
+		}
+	}
+});
+
+export default class PollingBackend extends Backend {
+	observe (properties) {
+		super.observe(properties);
+
+		let { target } = this.observer;
+		let targetBackends = backends.get(target) ?? new Set();
+		targetBackends.add(this);
+		backends.set(target, targetBackends);
+		poller.observe(target);
+	}
+
+	unobserve (properties) {
+		super.unobserve(properties);
+
+		if (this.properties.size > 0) {
+			return;
+		}
+
+		let { target } = this.observer;
+		let targetBackends = backends.get(target);
+		targetBackends?.delete(this);
+
+		if (!targetBackends?.size) {
+			backends.delete(target);
+			poller.unobserve(target);
+		}
+	}
+}
@@ -0,0 +1,134 @@
+/**
+ * Detect changes via transition events.
+ * This is the default backend: it is cheap, but only works for properties that can be transitioned,
+ * and needs `transition-behavior: allow-discrete` for discrete properties.
+ */
+import Backend from "./Backend.js";
+import bugs from "../util/bugs/index.js";
+import gentleRegisterProperty from "../util/gentle-register-property.js";
+import isRegisteredProperty from "../util/is-registered-property.js";
+import { getLonghands } from "../util.js";
+
+export const allowDiscrete = globalThis.CSS?.supports?.("transition-behavior", "allow-discrete")
+	? " allow-discrete"
+	: "";
+
+/**
+ * Properties that cannot be observed via transitions, either because they are not animatable at all,
+ * or because we need to set them ourselves to observe other properties.
+ */
+const NOT_TRANSITIONABLE =
+	/^(?:transition|animation)(?:-|$)|^(?:direction|unicode-bidi|will-change)$/;
+
+/**
+ * Standard properties that can be interpolated, i.e. can be transitioned without `transition-behavior: allow-discrete`.
+ * An allow-list, since any property missing here is observed by polling, which is slower but always works.
+ */
+const INTERPOLABLE = new RegExp(
+	"^(?:" +
+		[
+			"color|opacity|visibility|z-index|order",
+			"background-(?:color|position(?:-[xy])?|size)",
+			"(?:border(?:-(?:top|right|bottom|left|block|inline)(?:-(?:start|end))?)?|outline|column-rule)-(?:color|width)",
+			"border(?:-(?:top|bottom)-(?:left|right)|-(?:start|end)-(?:start|end))?-radius",
+			"border-image-(?:outset|slice|width)|border-spacing|outline-offset",
+			"(?:margin|padding|scroll-margin|scroll-padding|inset)(?:-(?:block|inline)(?:-(?:start|end))?)?",
+			"(?:margin|padding|scroll-margin|scroll-padding)-(?:top|right|bottom|left)",
+			"top|right|bottom|left",
+			"(?:min-|max-)?(?:width|height|block-size|inline-size)",
+			"flex(?:-grow|-shrink|-basis)?",
+			"(?:row-|column-)?gap|grid-(?:row-|column-)?gap|column-(?:count|width)",
+			"grid-template-(?:columns|rows)",
+			"font-(?:size(?:-adjust)?|weight|stretch|variation-settings)",
+			"letter-spacing|word-spacing|line-height|text-indent|tab-size|vertical-align",
+			"text-(?:shadow|decoration-(?:color|thickness)|underline-offset|emphasis-color)",
+			"-webkit-text-(?:fill-color|stroke-color|stroke-width)",
+			"box-shadow|(?:backdrop-)?filter|clip(?:-path)?",
+			"transform(?:-origin)?|translate|rotate|scale|perspective(?:-origin)?",
+			"object-position|shape-(?:margin|image-threshold)",
+			"mask-(?:position(?:-[xy])?|size|border-(?:outset|slice|width))",
+			"offset-(?:distance|position|anchor|rotate)",
+			"caret-color|accent-color|scrollbar-color",
+			"fill(?:-opacity)?|stroke(?:-(?:width|opacity|dashoffset|dasharray|miterlimit))?",
+			"(?:stop|flood)-(?:color|opacity)|lighting-color",
+			"c[xy]|r[xy]?|[xy]|d",
+		].join("|") +
+		")$",
+);
+
+export default class TransitionBackend extends Backend {
+	observe (properties) {
+		super.observe(properties);
+
+		let { target } = this.observer;
+		let registered = this.observer.constructor.properties;
+
+		if (bugs.UNREGISTERED_TRANSITION) {
+			for (let property of properties) {
+				if (!registered.has(property)) {
+					// Init property
+					gentleRegisterProperty(property, undefined, target.ownerDocument);
+					registered.add(property);
+				}
+			}
+		}
+
+		if (bugs.TRANSITIONRUN_EVENT_LOOP) {
+			// In the browsers affected by the bug, `transitionstart` events might not be fired at all,
+			// so we need to listen for `transitionrun` events instead.
+			// See https://github.com/LeaVerou/style-observer/issues/42
+			target.addEventListener("transitionrun", this.observer);
+
+			bugs.all.TRANSITIONRUN_EVENT_LOOP.valuePending?.then(affected => {
+				if (!affected) {
+					// The bug is not present, we can remove the listener
+					target.removeEventListener("transitionrun", this.observer);
+				}
+			});
+		}
+
+		target.addEventListener("transitionstart", this.observer);
+		target.addEventListener("transitionend", this.observer);
+		this.observer.updateTransitionProperties();
+	}
+
+	unobserve (properties) {
+		super.unobserve(properties);
+
+		if (this.properties.size === 0) {
+			// No longer observing any properties
+			let { target } = this.observer;
+			target.removeEventListener("transitionrun", this.observer);
+			target.removeEventListener("transitionstart", this.observer);
+			target.removeEventListener("transitionend", this.observer);
+		}
+
+		this.observer.updateTransitionProperties();
+	}
+
+	static supports (property, observer) {
+		if (NOT_TRANSITIONABLE.test(property)) {
+			return false;
+		}
+
+		let isCustom = property.startsWith("--");
+
+		if (!allowDiscrete) {
+			// Without allow-discrete, only properties that can be interpolated can be transitioned.
+			// Custom properties can only be interpolated if they are registered with an animatable syntax.
+			if (isCustom) {
+				return isRegisteredProperty(property, observer.target.ownerDocument);
+			}
+
+			// Shorthands can only be transitioned if all their longhands can
+			return getLonghands(property).every(longhand => INTERPOLABLE.test(longhand));
+		}
+
+		if (isCustom && bugs.UNREGISTERED_TRANSITION && !globalThis.CSS?.registerProperty) {
+			// The bug workaround relies on registering the property, which is not possible here
+			return isRegisteredProperty(property, observer.target.ownerDocument);
+		}
+
+		return true;
+	}
+}
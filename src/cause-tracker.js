@@ -0,0 +1,381 @@
+/**
+ * Keep track of things that may have caused style changes of some elements, to attribute records to them:
+ * - Attribute mutations (including `style` and `class`) on the elements or their ancestors
+ * - Media queries of `@media` rules starting or stopping to match
+ * - Style sheets being added to the document (or shadow roots)
+ */
+
+/**
+ * Attributes we set ourselves, which should never be reported as causes.
+ */
+const OWN_ATTRIBUTES = new Set(["data-style-observer-id"]);
+
+/**
+ * Properties we set on the style attribute ourselves (to observe the others).
+ * Changes to the style attribute that only involve these are not reported as causes.
+ */
+const OWN_PROPERTIES = /^(?:transition(?:-|$)|--style-observer-)/;
+
+/**
+ * How long (in ms) to keep causes around if no records claim them.
+ */
+const MAX_AGE = 1000;
+
+/**
+ * @typedef { { type: "style" | "class" | "attribute" | "inheritance", target: Element, attributeName: string }
+ *	| { type: "media", media: string }
+ *	| { type: "stylesheet", target: Node } } Cause
+ */
+
+export default class CauseTracker {
+	/**
+	 * Causes collected since they were last taken.
+	 * @type {(Cause & { time: number })[]}
+	 */
+	#causes = [];
+
+	/**
+	 * All currently observed elements
+	 * @type {Set<Element>}
+	 */
+	#targets = new Set();
+
+	/**
+	 * Documents and shadow roots to MutationObserver instances
+	 * @type {Map<Document | ShadowRoot, MutationObserver>}
+	 */
+	#mutationObservers = new Map();
+
+	/**
+	 * Media queries we are listening to, by query
+	 * @type {Map<string, MediaQueryList>}
+	 */
+	#mediaQueries = new Map();
+
+	/**
+	 * Begin tracking possible causes of style changes of an element.
+	 * @param {Element} element
+	 */
+	observe (element) {
+		if (this.#targets.has(element)) {
+			return;
+		}
+
+		this.#targets.add(element);
+
+		for (let root of getRoots(element)) {
+			if (this.#mutationObservers.has(root)) {
+				continue;
+			}
+
+			let mo = new MutationObserver(mutations => this.#handleMutations(mutations));
+			mo.observe(root, {
+				attributes: true,
+				attributeOldValue: true,
+				childList: true,
+				subtree: true,
+			});
+			this.#mutationObservers.set(root, mo);
+			this.#observeMedia(root);
+		}
+	}
+
+	/**
+	 * Stop tracking possible causes of style changes of an element.
+	 * @param {Element} element
+	 */
+	unobserve (element) {
+		this.#targets.delete(element);
+
+		if (this.#targets.size === 0) {
+			this.disconnect();
+			return;
+		}
+
+		// Stop observing trees no remaining element is nested in
+		let roots = new Set([...this.#targets].flatMap(target => getRoots(target)));
+
+		for (let [root, mo] of this.#mutationObservers) {
+			if (!roots.has(root)) {
+				mo.disconnect();
+				this.#mutationObservers.delete(root);
+			}
+		}
+	}
+
+	/**
+	 * Stop tracking anything.
+	 */
+	disconnect () {
+		for (let mo of this.#mutationObservers.values()) {
+			mo.disconnect();
+		}
+
+		for (let mql of this.#mediaQueries.values()) {
+			mql.removeEventListener("change", this);
+		}
+
+		this.#mutationObservers.clear();
+		this.#mediaQueries.clear();
+		this.#targets.clear();
+		this.#causes = [];
+	}
+
+	/**
+	 * Return the causes collected so far, and start collecting anew.
+	 * @returns {(Cause & { time: number })[]}
+	 */
+	takeCauses () {
+		let causes = this.#causes;
+		this.#causes = [];
+		return causes;
+	}
+
+	/**
+	 * Find the most likely cause of a style change of an element, among some causes.
+	 * Changes to the element itself are the most likely, then changes to its ancestors, then media queries, then style sheets.
+	 * Among causes equally likely, the most recent one wins.
+	 * @param {Element} element
+	 * @param {(Cause & { time: number })[]} causes
+	 * @returns {Cause | undefined}
+	 */
+	static getCause (element, causes) {
+		let ancestors = new Set(getAncestors(element));
+		let ranked = causes
+			.map(cause => {
+				let rank = { media: 2, stylesheet: 3 }[cause.type];
+
+				if (rank === undefined) {
+					// Attribute mutation
+					rank =
+						cause.target === element ? 0 : ancestors.has(cause.target) ? 1 : undefined;
+				}
+
+				return { cause, rank };
+			})
+			.filter(({ rank }) => rank !== undefined)
+			.sort((a, b) => a.rank - b.rank || b.cause.time - a.cause.time);
+
+		if (ranked.length === 0) {
+			return undefined;
+		}
+
+		let { time, ...cause } = ranked[0].cause;
+
+		if (ranked[0].rank === 1) {
+			cause.type = "inheritance";
+		}
+
+		return cause;
+	}
+
+	/**
+	 * Handle media query changes.
+	 * @param {MediaQueryListEvent} event
+	 */
+	handleEvent (event) {
+		this.#add({ type: "media", media: event.media });
+	}
+
+	/**
+	 * Record a cause, and forget any that are too old to still be relevant.
+	 * @param {Cause} cause
+	 */
+	#add (cause) {
+		let time = performance.now();
+		this.#causes = this.#causes.filter(cause => time - cause.time < MAX_AGE);
+		this.#causes.push({ ...cause, time });
+	}
+
+	/**
+	 * @param {MutationRecord[]} mutations
+	 */
+	#handleMutations (mutations) {
+		/**
+		 * The observed elements and their ancestors, i.e. the elements whose attributes can affect observed elements.
+		 * @type {Set<Element> | undefined}
+		 */
+		let relevant;
+
+		for (let [i, mutation] of mutations.entries()) {
+			if (mutation.type === "childList") {
+				for (let node of mutation.addedNodes) {
+					if (isStyleSheetNode(node)) {
+						this.#add({ type: "stylesheet", target: node });
+						this.#observeMedia(node.getRootNode());
+					}
+				}
+
+				continue;
+			}
+
+			let { target, attributeName } = mutation;
+			relevant ??= new Set(
+				[...this.#targets].flatMap(target => [target, ...getAncestors(target)]),
+			);
+
+			if (
+				OWN_ATTRIBUTES.has(attributeName) ||
+				!relevant.has(/** @type {Element} */ (target))
+			) {
+				continue;
+			}
+
+			if (attributeName === "style") {
+				// The new value is the old value of the next mutation of the same attribute, if any
+				let next = mutations
+					.slice(i + 1)
+					.find(m => m.target === target && m.attributeName === "style");
+				let value = next
+					? next.oldValue
+					: /** @type {Element} */ (target).getAttribute("style");
+
+				if (isOwnStyleChange(mutation.oldValue, value)) {
+					continue;
+				}
+			}
+
+			let type =
+				attributeName === "style" || attributeName === "class"
+					? attributeName
+					: "attribute";
+			this.#add({ type, target: /** @type {Element} */ (target), attributeName });
+		}
+	}
+
+	/**
+	 * Listen to changes of the media queries of any `@media` rules in a document or shadow root.
+	 * @param {Document | ShadowRoot} root
+	 */
+	#observeMedia (root) {
+		let sheets = [...root.styleSheets, ...(root.adoptedStyleSheets ?? [])];
+		let window = (root.ownerDocument ?? root).defaultView;
+
+		for (let query of getMediaQueries(sheets)) {
+			if (this.#mediaQueries.has(query)) {
+				continue;
+			}
+
+			let mql = window.matchMedia(query);
+			mql.addEventListener("change", this);
+			this.#mediaQueries.set(query, mql);
+		}
+	}
+}
+
+/**
+ * Get the document and shadow roots an element is nested in, innermost first.
+ * @param {Element} element
+ * @returns {(Document | ShadowRoot)[]}
+ */
+function getRoots (element) {
+	let roots = [];
+
+	for (let root = element.getRootNode(); root; root = root.host?.getRootNode()) {
+		roots.push(root);
+	}
+
+	return roots;
+}
+
+/**
+ * Get the ancestors of an element in the flat tree, closest first.
+ * @param {Element} element
+ * @returns {Element[]}
+ */
+function getAncestors (element) {
+	let ret = [];
+
+	for (let node = element; node; ) {
+		node = node.assignedSlot ?? node.parentElement ?? node.getRootNode().host;
+
+		if (node) {
+			ret.push(node);
+		}
+	}
+
+	return ret;
+}
+
+/**
+ * Check whether a node adds a style sheet.
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function isStyleSheetNode (node) {
+	return (
+		node.nodeName === "STYLE" ||
+		(node.nodeName === "LINK" && /(^|\s)stylesheet(\s|$)/i.test(node.rel))
+	);
+}
+
+/**
+ * Used to parse style attribute values.
+ * @type {HTMLElement | undefined}
+ */
+let scratch;
+
+/**
+ * Check whether a change to the style attribute only involves properties we set ourselves.
+ * @param {string | null} oldValue
+ * @param {string | null} value
+ * @returns {boolean}
+ */
+function isOwnStyleChange (oldValue, value) {
+	scratch ??= document.createElement("div");
+
+	let getDeclarations = cssText => {
+		scratch.setAttribute("style", cssText ?? "");
+		let style = scratch.style;
+
+		return new Map(
+			[...style]
+				.filter(property => !OWN_PROPERTIES.test(property))
+				.map(property => [
+					property,
+					style.getPropertyValue(property) + style.getPropertyPriority(property),
+				]),
+		);
+	};
+
+	let before = getDeclarations(oldValue);
+	let after = getDeclarations(value);
+
+	return (
+		before.size === after.size &&
+		[...before].every(([property, value]) => after.get(property) === value)
+	);
+}
+
+/**
+ * Get the media queries of all `@media` rules in some style sheets (including nested ones).
+ * @param {Iterable<CSSStyleSheet | CSSGroupingRule>} sheets
+ * @returns {Set<string>}
+ */
+function getMediaQueries (sheets) {
+	let ret = new Set();
+
+	for (let sheet of sheets) {
+		let rules;
+
+		try {
+			rules = sheet.cssRules;
+		}
+		catch (e) {
+			// Cross-origin style sheet
+			continue;
+		}
+
+		for (let rule of rules) {
+			if (rule instanceof CSSMediaRule) {
+				ret.add(rule.media.mediaText);
+			}
+
+			if (rule.cssRules) {
+				getMediaQueries([rule]).forEach(query => ret.add(query));
+			}
+		}
+	}
+
+	return ret;
+}
@@ -0,0 +1,139 @@
+/**
+ * Built-in comparators for the `equals` option.
+ * Each of these returns a function that can be used as the value of the option.
+ */
+
+/**
+ * @typedef {import("./element-style-observer.js").EqualsCallback} EqualsCallback
+ */
+
+const NUMBER = /[-+]?(?:\d*\.)?\d+(?:e[-+]?\d+)?/gi;
+
+/**
+ * Consider values equal if they only differ in numbers, and by no more than a given tolerance.
+ * E.g. with the default tolerance, `10px` and `10.001px` are equal, but `10px` and `10.1px` or `10px` and `10em` are not.
+ * @param {number} [tolerance=0.01] - The maximum difference between numbers that still counts as equal.
+ * @returns {EqualsCallback}
+ */
+export function numericTolerance (tolerance = 0.01) {
+	return (property, a, b) => {
+		if (a === undefined || b === undefined) {
+			return a === b;
+		}
+
+		let numbersA = a.match(NUMBER) ?? [];
+		let numbersB = b.match(NUMBER) ?? [];
+
+		if (
+			numbersA.length !== numbersB.length ||
+			a.replace(NUMBER, "0") !== b.replace(NUMBER, "0")
+		) {
+			// Different units, keywords, or number of values
+			return false;
+		}
+
+		return numbersA.every((number, i) => Math.abs(number - numbersB[i]) <= tolerance);
+	};
+}
+
+/**
+ * Consider colors equal if their difference is not perceptible,
+ * i.e. their distance in OKLab (scaled by 100, like most delta E formulas) is below a given threshold.
+ * Alpha differences are scaled the same way.
+ * Only sRGB colors (`rgb()`, `rgba()`, `color(srgb …)`) are compared, since that is what computed colors usually are.
+ * Any other values are only equal if they are identical.
+ * @param {number} [threshold=2] - The smallest difference that counts as a change.
+ * @returns {EqualsCallback}
+ */
+export function colorDeltaE (threshold = 2) {
+	return (property, a, b) => {
+		let colorA = a === undefined ? null : parseColor(a);
+		let colorB = b === undefined ? null : parseColor(b);
+
+		if (!colorA || !colorB) {
+			return a === b;
+		}
+
+		let [L1, a1, b1] = toOKLab(colorA);
+		let [L2, a2, b2] = toOKLab(colorB);
+		let deltaE = Math.hypot(L1 - L2, a1 - a2, b1 - b2) * 100;
+		let deltaAlpha = Math.abs(colorA[3] - colorB[3]) * 100;
+
+		return deltaE < threshold && deltaAlpha < threshold;
+	};
+}
+
+/**
+ * Parse a serialized sRGB color.
+ * @param {string} value
+ * @returns {[number, number, number, number] | null} Red, green, blue and alpha, all in the 0-1 range, or `null` if not an sRGB color.
+ */
+function parseColor (value) {
+	let match = value.trim().match(/^(rgba?|color)\((.+)\)$/i);
+
+	if (!match) {
+		return null;
+	}
+
+	let [, fn, args] = match;
+	let parts = args.split(/[\s,/]+/).filter(Boolean);
+
+	if (fn.toLowerCase() === "color" && parts.shift()?.toLowerCase() !== "srgb") {
+		return null;
+	}
+
+	if (parts.length < 3 || parts.length > 4) {
+		return null;
+	}
+
+	// Legacy rgb() channels are 0-255, color(srgb) channels are 0-1
+	let scale = fn.toLowerCase() === "color" ? 1 : 255;
+	let [r, g, b, alpha = "1"] = parts;
+	let ret = [r, g, b].map(channel => parseChannel(channel, scale));
+	ret.push(parseChannel(alpha, 1));
+
+	return ret.some(channel => Number.isNaN(channel))
+		? null
+		: /** @type {[number, number, number, number]} */ (ret);
+}
+
+/**
+ * Parse a color channel into the 0-1 range.
+ * @param {string} channel
+ * @param {number} scale - The value that corresponds to 1 (when the channel is not a percentage).
+ * @returns {number}
+ */
+function parseChannel (channel, scale) {
+	if (channel === "none") {
+		return 0;
+	}
+
+	if (channel.endsWith("%")) {
+		return parseFloat(channel) / 100;
+	}
+
+	return parseFloat(channel) / scale;
+}
+
+/**
+ * Convert an sRGB color to OKLab.
+ * @param {number[]} rgb - Red, green and blue, in the 0-1 range.
+ * @returns {[number, number, number]}
+ */
+function toOKLab ([r, g, b]) {
+	[r, g, b] = [r, g, b].map(c => {
+		let sign = c < 0 ? -1 : 1;
+		let abs = Math.abs(c);
+		return abs <= 0.04045 ? c / 12.92 : sign * ((abs + 0.055) / 1.055) ** 2.4;
+	});
+
+	let l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+	let m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+	let s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+	return [
+		0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+		1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+		0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+	];
+}
@@ -1,21 +1,95 @@
 import bugs from "./util/bugs/index.js";
 import gentleRegisterProperty from "./util/gentle-register-property.js";
+import resolveValue from "./util/resolve-value.js";
 import MultiWeakMap from "./util/MultiWeakMap.js";
-import { toArray, wait, getTimesFor } from "./util.js";
+import { toArray, getTimesFor, splitCommas, getLonghands } from "./util.js";
 import RenderedObserver from "./rendered-observer.js";
+import AnimationObserver from "./animation-observer.js";
+import TransitionBackend, { allowDiscrete } from "./backends/transition.js";
+import PollingBackend from "./backends/polling.js";
+import Scheduler, { resolveTiming } from "./scheduler.js";
 
-const allowDiscrete = globalThis.CSS?.supports?.("transition-behavior", "allow-discrete")
-	? " allow-discrete"
-	: "";
+/**
+ * Attribute used to target elements whose pseudo-elements are being observed.
+ */
+const PSEUDO_ATTRIBUTE = "data-style-observer-id";
 
 if (globalThis.document) {
 	gentleRegisterProperty("--style-observer-transition", { inherits: false });
 	bugs.detectAll();
 }
 
+/**
+ * @callback EqualsCallback
+ * @param {string} property - The property being compared.
+ * @param {string | undefined} a - The old value.
+ * @param {string} b - The new value.
+ * @returns {boolean} Whether the values should be considered equal, i.e. no change should be reported.
+ */
+
+/**
+ * How to canonicalize values before comparing and reporting them:
+ * - `true` to collapse whitespace in custom property values
+ * - A syntax string (e.g. `"<color>"`) to resolve values as if they were values of a property registered with that syntax
+ * - A function that takes the property and its value and returns the normalized value
+ * @typedef { boolean | string | ((property: string, value: string) => string) } Normalize
+ */
+
+/**
+ * Options that can be set for individual properties.
+ * @template [T=any]
+ * @typedef { object } PropertyOptions
+ * @property { (value: string) => T } [parse] - Parse values of the property, to get `parsedValue`/`parsedOldValue` on records.
+ * @property { EqualsCallback } [equals] - Decide whether a change in the value of the property is significant enough to report.
+ * @property { Normalize } [normalize] - Canonicalize values of the property before comparing and reporting them.
+ * @property { number[] } [thresholds] - Only report changes when the numeric value of the property crosses one of these thresholds.
+ * @property { number | import("./scheduler.js").ThrottleOptions } [throttle] - Throttle changes to the property.
+ * @property { number | import("./scheduler.js").DebounceOptions } [debounce] - Debounce changes to the property.
+ */
+
+/**
+ * What each property maps to in a property map: either a parser, or an object with per-property options.
+ * @template [T=any]
+ * @typedef { ((value: string) => T) | PropertyOptions<T> } PropertyConfig
+ */
+
+/**
+ * Properties to observe, mapped to their parsers or per-property options.
+ * @typedef { { [property: string]: PropertyConfig } } PropertyMap
+ */
+
+/**
+ * The type of values the parser for a property produces.
+ * @template C
+ * @typedef { C extends (value: string) => infer T ? T : C extends { parse: (value: string) => infer T } ? T : string } ParsedValue
+ */
+
 /**
  * @typedef { object } StyleObserverOptionsObject
- * @property { string[] } properties - The properties to observe.
+ * @property { string[] | PropertyMap } properties - The properties to observe.
+ * Either a list of properties, or an object mapping properties to their parsers or per-property options.
+ * @property { { [property: string]: PropertyOptions } } [propertyOptions] - Per-property options, by property.
+ * Populated from the property map, if one is provided.
+ * @property { boolean } [immediate] - Whether to report the initial values of newly observed properties.
+ * @property { boolean | "keyframes" } [animations] - Whether to also detect changes caused by animations.
+ * If `"keyframes"`, changes caused by animations are only reported at keyframe boundaries rather than every frame.
+ * @property { (typeof import("./backends/Backend.js").default)[] } [backends] - The backends to choose from for detecting changes, in order of preference.
+ * Defaults to `ElementStyleObserver.backends`.
+ * @property { EqualsCallback } [equals] - Decide whether a change in value is significant enough to report.
+ * Can also be set per property, via the property map.
+ * @property { Normalize } [normalize] - Canonicalize values before comparing and reporting them.
+ * Can also be set per property, via the property map.
+ * @property { number[] } [thresholds] - Only report changes when numeric values cross one of these thresholds.
+ * Can also be set per property, via the property map.
+ * @property { number | import("./scheduler.js").ThrottleOptions } [throttle] - Throttle reporting changes.
+ * A number is the time (in ms) to wait after a change before reporting it (and any other changes that happen in the meantime).
+ * Can also be set per property, via the property map.
+ * @property { number | import("./scheduler.js").DebounceOptions } [debounce] - Only report changes once there have been no changes for a while.
+ * A number is how long to wait (in ms). Can also be set per property, via the property map.
+ * @property { "shorthand" | "longhands" } [shorthands="shorthand"] - How to report changes to observed shorthands (e.g. `margin`):
+ * as records for the shorthand, with its reserialized value, or as records for each longhand that changed.
+ * @property { "string" | "typed" } [valueType="string"] - Set to `"typed"` to also get values as CSS Typed OM objects
+ * (`typedValue`/`oldTypedValue` on records).
  */
 /**
  * @typedef { StyleObserverOptionsObject | string | string[] } StyleObserverOptions
@@ -27,12 +101,37 @@ if (globalThis.document) {
  * @returns {void}
  */
 
+/**
+ * @typedef { Object } PseudoTarget
+ * @property {Element} element - The originating element.
+ * @property {string} pseudo - The pseudo-element, e.g. `"::before"`.
+ */
+
+/**
+ * @typedef { Element | PseudoTarget } Target
+ */
+
 /**
  * @typedef { Object } Record
  * @property {Element} target - The element that changed.
+ * @property {string} [pseudo] - The pseudo-element that changed, if observing a pseudo-element.
  * @property {string} property - The property that changed.
  * @property {string} value - The new value of the property.
- * @property {string} oldValue - The old value of the property.
+ * @property {string | undefined} oldValue - The old value of the property. `undefined` for initial values reported via the `immediate` option.
+ * @property {CSSStyleValue | string} [typedValue] - The new value as a CSS Typed OM object, with the `valueType: "typed"` option.
+ * Falls back to the string value when Typed OM is not available (including for pseudo-elements).
+ * @property {CSSStyleValue | string | undefined} [oldTypedValue] - The old value as a CSS Typed OM object, with the `valueType: "typed"` option.
+ * @property {any} [parsedValue] - The new value, as returned by the property’s parser (if it has one).
+ * @property {any} [parsedOldValue] - The old value, as returned by the property’s parser (if it has one).
+ * @property {number} [threshold] - With the `thresholds` option, how many thresholds the new value is above
+ * (`-1` if the value is not a number).
+ * @property {import("./cause-tracker.js").Cause} [cause] - With the `attributeCauses` option of `StyleObserver`, what most likely caused the change (if known).
+ */
+
+/**
+ * Records for the properties in a property map, with parsed values typed according to each property’s parser.
+ * @template {PropertyMap} M
+ * @typedef { { [P in keyof M & string]: Omit<Record, "property" | "parsedValue" | "parsedOldValue"> & { property: P, parsedValue: ParsedValue<M[P]>, parsedOldValue: ParsedValue<M[P]> | undefined } }[keyof M & string] } TypedRecord
  */
 
 export default class ElementStyleObserver {
@@ -56,6 +155,12 @@ export default class ElementStyleObserver {
 	 */
 	target;
 
+	/**
+	 * The pseudo-element being observed (e.g. `"::before"`), or an empty string when observing the element itself.
+	 * @type {string}
+	 */
+	pseudo;
+
 	/**
 	 * The callback to call when the element's style changes.
 	 * @type {StyleObserverCallback}
@@ -75,24 +180,60 @@ export default class ElementStyleObserver {
 	#initialized = false;
 
 	/**
-	 * @param {Element} target
+	 * Observed properties to their old values as Typed OM objects. Only used with `valueType: "typed"`.
+	 * @type {Map<string, CSSStyleValue | string>}
+	 */
+	#typedValues = new Map();
+
+	/**
+	 * Longhands of observed shorthands, to the shorthands they belong to.
+	 * Transition events are fired for longhands, so we need these to tell which events are relevant.
+	 * @type {Map<string, Set<string>>}
+	 */
+	#shorthands = new Map();
+
+	/**
+	 * Properties with changes waiting to be reported, by scheduler key.
+	 * @type {Map<string, Set<string>>}
+	 */
+	#scheduled = new Map();
+
+	/**
+	 * Scheduler keys, by timing.
+	 * Scheduler keys need to be unique across observers, so we use objects.
+	 * @type {Map<string, object>}
+	 */
+	#schedulerKeys = new Map();
+
+	/**
+	 * @param {Target} target
 	 * @param {StyleObserverCallback} callback
 	 * @param {StyleObserverOptions} [options]
 	 */
 	constructor (target, callback, options = {}) {
-		this.constructor.all.add(target, this);
+		let { element, pseudo } = resolveTarget(target);
+		this.constructor.all.add(element, this);
 		this.properties = new Map();
-		this.target = target;
+		this.target = element;
+		this.pseudo = pseudo;
 		this.callback = callback;
-		this.options = { properties: [], ...options };
-		let properties = toArray(options.properties);
+		this.options = { properties: [], ...resolveOptions(options) };
+		let properties = this.options.properties;
 
 		this.renderedObserver = new RenderedObserver(records => {
 			if (this.propertyNames.length > 0) {
+				// The target may be in a different tree than when we started listening to animation events
+				this.animationObserver?.check();
 				this.handleEvent();
 			}
 		});
 
+		if (this.options.animations) {
+			this.animationObserver = new AnimationObserver(() => this.check(), {
+				keyframes: this.options.animations === "keyframes",
+			});
+		}
+
 		if (properties.length > 0) {
 			this.observe(properties);
 		}
@@ -106,12 +247,117 @@ export default class ElementStyleObserver {
 			return;
 		}
 
-		let firstTime = this.constructor.all.get(this.target).size === 1;
+		// Re-register in case we were previously disconnected
+		this.constructor.all.add(this.target, this);
+
+		let firstTime = this.#siblings.length === 1;
+
+		if (firstTime && !this.pseudo) {
+			ElementStyleObserver.#originalStyles.set(this.target, {
+				attribute: this.target.getAttribute("style"),
+			});
+		}
+
 		this.updateTransition({ firstTime });
 
 		this.#initialized = true;
 	}
 
+	/**
+	 * All observers of the same target and pseudo-element (including this one).
+	 * @type {ElementStyleObserver[]}
+	 */
+	get #siblings () {
+		let observers = this.constructor.all.get(this.target) ?? [];
+		return [...observers].filter(observer => observer.pseudo === this.pseudo);
+	}
+
+	/**
+	 * Get the computed style of the target (or its pseudo-element).
+	 * @returns {CSSStyleDeclaration}
+	 */
+	#getComputedStyle () {
+		return getComputedStyle(this.target, this.pseudo || null);
+	}
+
+	/**
+	 * Get the value of an option for a specific property, falling back to the value for all properties.
+	 * @param {string} property
+	 * @param {string} name
+	 * @returns {any}
+	 */
+	#getOption (property, name) {
+		return this.options.propertyOptions?.[property]?.[name] ?? this.options[name];
+	}
+
+	/**
+	 * Canonicalize a value via the `normalize` option.
+	 * @param {string} property
+	 * @param {string} value
+	 * @returns {string}
+	 */
+	#normalize (property, value) {
+		let normalize = this.#getOption(property, "normalize");
+
+		if (typeof normalize === "function") {
+			return normalize(property, value);
+		}
+
+		if (typeof normalize === "string") {
+			return resolveValue(value, normalize, this.target.ownerDocument);
+		}
+
+		if (normalize && property.startsWith("--")) {
+			// Other values are already serialized consistently
+			return value.trim().replace(/\s+/g, " ");
+		}
+
+		return value;
+	}
+
+	/**
+	 * Check whether two values of a property should be considered equal, via the `equals` and `thresholds` options.
+	 * Values that are considered equal are not reported, and the old value is kept,
+	 * so that gradual changes are still reported once they add up.
+	 * Also used when merging records, since changes that are reported separately may cancel each other out.
+	 * @param {string} property
+	 * @param {string | undefined} a
+	 * @param {string} b
+	 * @returns {boolean}
+	 */
+	equals (property, a, b) {
+		if (
+			this.#getOption(property, "thresholds") &&
+			this.#getThreshold(property, a) === this.#getThreshold(property, b)
+		) {
+			// Still between the same thresholds
+			return true;
+		}
+
+		let equals = this.#getOption(property, "equals");
+		return equals ? Boolean(equals(property, a, b)) : false;
+	}
+
+	/**
+	 * Get the threshold band a value of a property is in, via the `thresholds` option,
+	 * i.e. how many thresholds its numeric value is above, or `-1` if it is not a number.
+	 * The numeric value is the parsed value if the property has a parser, otherwise the number the value starts with.
+	 * @param {string} property
+	 * @param {string} value
+	 * @returns {number}
+	 */
+	#getThreshold (property, value) {
+		let thresholds = this.#getOption(property, "thresholds");
+		let parse = this.#getOption(property, "parse");
+		let number = Number(parse ? parse(value) : parseFloat(value));
+
+		if (Number.isNaN(number)) {
+			return -1;
+		}
+
+		return thresholds.filter(threshold => number > threshold).length;
+	}
+
 	resolveOptions (options) {
 		return Object.assign(resolveOptions(options), this.options);
 	}
@@ -121,59 +367,275 @@ export default class ElementStyleObserver {
 	 * @private
 	 * @param {TransitionEvent} [event]
 	 */
-	async handleEvent (event) {
-		if (event && !this.properties.has(event.propertyName)) {
+	handleEvent (event) {
+		if (event && (event.pseudoElement ?? "") !== this.pseudo) {
+			// Transition of a different pseudo-element (or the element itself)
 			return;
 		}
 
-		if (
-			(bugs.TRANSITIONRUN_EVENT_LOOP && event?.type === "transitionrun") ||
-			this.options.throttle > 0
-		) {
-			let eventName = bugs.TRANSITIONRUN_EVENT_LOOP ? "transitionrun" : "transitionstart";
-			let delay = Math.max(this.options.throttle, 50);
-
-			if (bugs.TRANSITIONRUN_EVENT_LOOP) {
-				// Safari < 18.2 fires `transitionrun` events too often, so we need to debounce.
-				// Wait at least the amount of time needed for the transition to run + 1 frame (~16ms)
-				let times = getTimesFor(
-					event.propertyName,
-					getComputedStyle(this.target).transition,
-				);
-				delay = Math.max(delay, times.duration + times.delay + 16);
+		let properties = this.propertyNames;
+
+		if (event) {
+			// Transition events are fired for longhands
+			properties = this.properties.has(event.propertyName)
+				? [event.propertyName]
+				: [...(this.#shorthands.get(event.propertyName) ?? [])];
+
+			if (properties.length === 0) {
+				return;
 			}
+		}
 
-			this.target.removeEventListener(eventName, this);
-			await wait(delay);
-			this.target.addEventListener(eventName, this);
+		if (bugs.TRANSITIONRUN_EVENT_LOOP && event?.type === "transitionrun") {
+			// Safari < 18.2 fires `transitionrun` events too often, so we need to throttle.
+			// Wait at least the amount of time needed for the transition to run + 1 frame (~16ms)
+			let times = getTimesFor(event.propertyName, this.#getComputedStyle().transition);
+			let wait = Math.max(
+				this.#getTiming(properties[0])?.wait ?? 0,
+				50,
+				times.duration + times.delay + 16,
+			);
+
+			this.#schedule(properties, { type: "throttle", wait, leading: false, trailing: true });
+			return;
 		}
 
-		let cs = getComputedStyle(this.target);
-		let records = [];
+		this.#schedule(properties);
+	}
 
-		// Other properties may have changed in the meantime
-		for (let property of this.propertyNames) {
-			let value = cs.getPropertyValue(property);
-			let oldValue = this.properties.get(property);
+	/**
+	 * Report changes to some properties, as soon as their `throttle` or `debounce` options allow.
+	 * Other properties may have changed in the meantime, so all of them are checked when the time comes.
+	 * @param {string[]} properties - The properties that may have changed.
+	 * @param {import("./scheduler.js").Timing} [timing] - Use this timing for all properties, rather than their own.
+	 */
+	#schedule (properties, timing) {
+		let groups = new Map();
 
-			if (value !== oldValue) {
-				records.push({ target: this.target, property, value, oldValue });
-				this.properties.set(property, value);
+		for (let property of properties) {
+			let propertyTiming = timing ?? this.#getTiming(property);
+			let id = propertyTiming ? Object.values(propertyTiming).join(" ") : "";
+			let group = groups.get(id) ?? { timing: propertyTiming, properties: [] };
+			group.properties.push(property);
+			groups.set(id, group);
+		}
+
+		for (let [id, { timing, properties }] of groups) {
+			if (!timing) {
+				this.#report(properties);
+				continue;
+			}
+
+			let scheduled = this.#scheduled.get(id) ?? new Set();
+			properties.forEach(property => scheduled.add(property));
+			this.#scheduled.set(id, scheduled);
+
+			let key = this.#schedulerKeys.get(id);
+
+			if (!key) {
+				key = {};
+				this.#schedulerKeys.set(id, key);
 			}
+
+			this.constructor.scheduler.schedule(key, timing, () => {
+				let properties = [...(this.#scheduled.get(id) ?? [])];
+				this.#scheduled.delete(id);
+				this.#report(properties);
+			});
 		}
+	}
+
+	/**
+	 * Get the timing for reporting changes to a property, from its `throttle` and `debounce` options.
+	 * Per-property options take precedence over the observer options.
+	 * @param {string} property
+	 * @returns {import("./scheduler.js").Timing | null}
+	 */
+	#getTiming (property) {
+		let options = this.options.propertyOptions?.[property] ?? {};
+
+		if (!("throttle" in options) && !("debounce" in options)) {
+			options = this.options;
+		}
+
+		return resolveTiming(options);
+	}
+
+	/**
+	 * Check some properties for changes and report any to the callback.
+	 * @param {string[]} [properties]
+	 */
+	#report (properties) {
+		let records = this.takeRecords(properties);
 
 		if (records.length > 0) {
 			this.callback(records);
 		}
 	}
 
+	/**
+	 * Check for changes and report any to the callback, as soon as the `throttle` and `debounce` options allow.
+	 * @return {void}
+	 */
+	check () {
+		let properties = [...this.#getChanges(this.propertyNames).keys()];
+
+		if (properties.length > 0) {
+			// Only schedule actual changes, otherwise frequent checks would keep postponing debounced reports
+			this.#schedule(properties);
+		}
+	}
+
+	/**
+	 * Synchronously check observed properties for changes, without waiting for any events.
+	 * Changes returned here are considered reported and will not be passed to the callback.
+	 * @param {string[]} [properties] - The properties to check. Defaults to all observed properties.
+	 * @returns {Record[]}
+	 */
+	takeRecords (properties = this.propertyNames) {
+		let records = [];
+
+		for (let [property, value] of this.#getChanges(properties)) {
+			let oldValue = this.properties.get(property);
+			let record = this.#createRecord(property, value, oldValue);
+
+			if (this.options.valueType === "typed") {
+				record.typedValue = this.#getTypedValue(property, value);
+				record.oldTypedValue = this.#typedValues.get(property);
+				this.#typedValues.set(property, record.typedValue);
+			}
+
+			records.push(record);
+			this.properties.set(property, value);
+		}
+
+		return records;
+	}
+
+	/**
+	 * Get the new values of any properties that have changed, without reporting them.
+	 * @param {string[]} properties - The properties to check.
+	 * @returns {Map<string, string>}
+	 */
+	#getChanges (properties) {
+		let cs = this.#getComputedStyle();
+		let ret = new Map();
+
+		for (let property of properties) {
+			if (!this.properties.has(property)) {
+				// No longer observed
+				continue;
+			}
+
+			let value = this.#normalize(property, this.#getValue(cs, property));
+			let oldValue = this.properties.get(property);
+
+			if (value !== oldValue && !this.equals(property, oldValue, value)) {
+				ret.set(property, value);
+			}
+		}
+
+		return ret;
+	}
+
+	/**
+	 * Read the computed value of a property as a CSS Typed OM object.
+	 * @param {string} property
+	 * @param {string} value - The string value to fall back to.
+	 * @returns {CSSStyleValue | string}
+	 */
+	#getTypedValue (property, value) {
+		if (this.pseudo || !this.target.computedStyleMap || /^transition(?:-|$)/.test(property)) {
+			// No Typed OM for pseudo-elements, and our own transitions would be included for transition properties
+			return value;
+		}
+
+		try {
+			return this.target.computedStyleMap().get(property) ?? value;
+		}
+		catch (e) {
+			// Property not supported by Typed OM
+			return value;
+		}
+	}
+
+	/**
+	 * Read the computed value of a property,
+	 * excluding anything we have added to `transition` ourselves to observe other properties.
+	 * @param {CSSStyleDeclaration} cs - The computed style of the target.
+	 * @param {string} property
+	 * @returns {string}
+	 */
+	#getValue (cs, property) {
+		let value = cs.getPropertyValue(property);
+
+		if (!/^transition(?:-|$)/.test(property)) {
+			return value;
+		}
+
+		// Our transitions are always last, so we just need to figure out how many there are
+		let ours = cs.getPropertyValue("--style-observer-transition").trim();
+		ours = ours
+			? splitCommas(ours).map(transition => transition.split(/\s+/)[0])
+			: ["--style-observer-noop"];
+
+		let transitionProperties = splitCommas(cs.getPropertyValue("transition-property"));
+		let offset = transitionProperties.length - ours.length;
+		let values = splitCommas(value);
+
+		if (
+			values.length !== transitionProperties.length ||
+			ours.some((property, i) => transitionProperties[offset + i] !== property)
+		) {
+			// Our transition has been overwritten (or the value is not a list we can handle)
+			return value;
+		}
+
+		values = values.slice(0, offset);
+
+		return values.length > 0
+			? values.join(", ")
+			: getInitialValue(property, this.target.ownerDocument);
+	}
+
+	/**
+	 * Create a record for a property change.
+	 * @param {string} property
+	 * @param {string} value
+	 * @param {string | undefined} oldValue
+	 * @returns {Record}
+	 */
+	#createRecord (property, value, oldValue) {
+		let record = { target: this.target, property, value, oldValue };
+
+		if (this.pseudo) {
+			record.pseudo = this.pseudo;
+		}
+
+		let parse = this.#getOption(property, "parse");
+
+		if (parse) {
+			record.parsedValue = parse(value);
+			record.parsedOldValue = oldValue === undefined ? undefined : parse(oldValue);
+		}
+
+		if (this.#getOption(property, "thresholds")) {
+			record.threshold = this.#getThreshold(property, value);
+		}
+
+		return record;
+	}
+
 	/**
 	 * Observe the target for changes to one or more CSS properties.
 	 * @param {string | string[]} properties
+	 * @param {object} [options]
+	 * @param {boolean} [options.immediate] - Whether to report the initial values of the newly observed properties.
+	 * Defaults to the `immediate` observer option.
 	 * @return {void}
 	 */
-	observe (properties) {
-		properties = toArray(properties);
+	observe (properties, { immediate = this.options.immediate } = {}) {
+		properties = this.#resolveShorthands(toArray(properties));
 
 		// Drop properties already being observed
 		properties = properties.filter(property => !this.properties.has(property));
@@ -183,40 +645,152 @@ export default class ElementStyleObserver {
 			return;
 		}
 
+		for (let property of properties) {
+			for (let longhand of getShorthandLonghands(property)) {
+				let shorthands = this.#shorthands.get(longhand) ?? new Set();
+				shorthands.add(property);
+				this.#shorthands.set(longhand, shorthands);
+			}
+		}
+
 		this.#init();
 
-		let cs = getComputedStyle(this.target);
+		let cs = this.#getComputedStyle();
 
 		for (let property of properties) {
-			if (bugs.UNREGISTERED_TRANSITION && !this.constructor.properties.has(property)) {
-				// Init property
-				gentleRegisterProperty(property, undefined, this.target.ownerDocument);
-				this.constructor.properties.add(property);
+			let value = this.#normalize(property, this.#getValue(cs, property));
+			this.properties.set(property, value);
+
+			if (this.options.valueType === "typed") {
+				this.#typedValues.set(property, this.#getTypedValue(property, value));
 			}
+		}
 
-			let value = cs.getPropertyValue(property);
-			this.properties.set(property, value);
+		for (let [backend, backendProperties] of this.#groupByBackend(properties)) {
+			backend.observe(backendProperties);
 		}
 
-		if (bugs.TRANSITIONRUN_EVENT_LOOP) {
-			// In the browsers affected by the bug, `transitionstart` events might not be fired at all,
-			// so we need to listen for `transitionrun` events instead.
-			// See https://github.com/LeaVerou/style-observer/issues/42
-			this.target.addEventListener("transitionrun", this);
+		this.renderedObserver.observe(this.target);
+		this.updateAnimations();
+
+		if (immediate) {
+			this.callback(
+				properties.map(property => {
+					let record = this.#createRecord(
+						property,
+						this.properties.get(property),
+						undefined,
+					);
+
+					if (this.options.valueType === "typed") {
+						record.typedValue = this.#typedValues.get(property);
+						record.oldTypedValue = undefined;
+					}
 
-			bugs.all.TRANSITIONRUN_EVENT_LOOP.valuePending?.then(affected => {
-				if (!affected) {
-					// The bug is not present, we can remove the listener
-					this.target.removeEventListener("transitionrun", this);
-				}
-			});
+					return record;
+				}),
+			);
 		}
+	}
 
-		this.target.addEventListener("transitionstart", this);
-		this.target.addEventListener("transitionend", this);
-		this.updateTransitionProperties();
+	/**
+	 * With `shorthands: "longhands"`, replace any shorthands with their longhands.
+	 * @param {string[]} properties
+	 * @returns {string[]}
+	 */
+	#resolveShorthands (properties) {
+		if (this.options.shorthands !== "longhands") {
+			return properties;
+		}
 
-		this.renderedObserver.observe(this.target);
+		return [
+			...new Set(
+				properties.flatMap(property => {
+					let longhands = getShorthandLonghands(property);
+					return longhands.length > 0 ? longhands : [property];
+				}),
+			),
+		];
+	}
+
+	/**
+	 * Backends used by this observer, by class.
+	 * @type {Map<typeof import("./backends/Backend.js").default, import("./backends/Backend.js").default>}
+	 */
+	#backends = new Map();
+
+	/**
+	 * Get the backend responsible for detecting changes to a property, creating it if needed.
+	 * @param {string} property
+	 * @returns {import("./backends/Backend.js").default}
+	 */
+	#getBackend (property) {
+		for (let backend of this.#backends.values()) {
+			if (backend.properties.has(property)) {
+				return backend;
+			}
+		}
+
+		let backends = this.options.backends ?? this.constructor.backends;
+		let Backend = backends.find(Backend => Backend.supports(property, this));
+
+		if (!Backend) {
+			throw new TypeError(`No backend can detect changes to ${property}`);
+		}
+
+		let backend = this.#backends.get(Backend);
+
+		if (!backend) {
+			backend = new Backend(this);
+			this.#backends.set(Backend, backend);
+		}
+
+		return backend;
+	}
+
+	/**
+	 * Group properties by the backend responsible for them.
+	 * @param {string[]} properties
+	 * @returns {Map<import("./backends/Backend.js").default, string[]>}
+	 */
+	#groupByBackend (properties) {
+		let ret = new Map();
+
+		for (let property of properties) {
+			let backend = this.#getBackend(property);
+			let backendProperties = ret.get(backend) ?? [];
+			backendProperties.push(property);
+			ret.set(backend, backendProperties);
+		}
+
+		return ret;
+	}
+
+	/**
+	 * Get the observed properties whose changes are detected via a given backend.
+	 * @param {typeof import("./backends/Backend.js").default} Backend
+	 * @returns {string[]}
+	 */
+	getPropertiesObservedBy (Backend) {
+		return [...(this.#backends.get(Backend)?.properties ?? [])];
+	}
+
+	/**
+	 * Look for animations affecting the observed properties.
+	 * Only needed for animations created via the Web Animations API after observing started,
+	 * since CSS animations are picked up automatically.
+	 * Does nothing unless the `animations` option is set.
+	 */
+	updateAnimations () {
+		if (this.properties.size > 0) {
+			this.animationObserver?.observe(this.target, {
+				pseudo: this.pseudo,
+				properties: this.propertyNames,
+			});
+		}
+		else {
+			this.animationObserver?.unobserve();
+		}
 	}
 
 	/**
@@ -226,13 +800,12 @@ export default class ElementStyleObserver {
 		// Clear our own transition
 		this.setProperty("--style-observer-transition", "");
 
-		let transitionProperties = new Set(
-			getComputedStyle(this.target).transitionProperty.split(", "),
-		);
+		let transitionProperties = new Set(this.#getComputedStyle().transitionProperty.split(", "));
 		let properties = [];
 
-		for (let observer of this.constructor.all.get(this.target)) {
-			properties.push(...observer.propertyNames);
+		for (let observer of this.#siblings) {
+			// Only properties actually observed via transitions
+			properties.push(...observer.getPropertiesObservedBy(TransitionBackend));
 		}
 
 		properties = [...new Set(properties)]; // Dedupe
@@ -266,6 +839,11 @@ export default class ElementStyleObserver {
 		if (firstTime ? inlineTransition : !inlineTransition.includes(sot)) {
 			// Either we are starting with an inline style being there, or our inline style was overwritten
 			transition = this.#inlineTransition = inlineTransition;
+
+			let originalStyles = ElementStyleObserver.#originalStyles.get(this.target);
+			if (originalStyles) {
+				originalStyles.transition = inlineTransition;
+			}
 		}
 
 		if (transition === undefined && (firstTime || !this.#inlineTransition)) {
@@ -274,7 +852,7 @@ export default class ElementStyleObserver {
 				this.setProperty("transition", "");
 			}
 
-			transition = getComputedStyle(this.target).transition;
+			transition = this.#getComputedStyle().transition;
 		}
 
 		if (transition === "all") {
@@ -295,18 +873,35 @@ export default class ElementStyleObserver {
 	}
 
 	/**
-	 * Whether the target has an open shadow root (and the modern adoptedStyleSheets API is supported).
+	 * The target’s shadow root, if it has one we can access.
+	 * Set this to use a closed shadow root (e.g. as returned by `attachShadow()`), since these cannot be found otherwise.
+	 * @type { ShadowRoot | undefined }
+	 */
+	shadowRoot;
+
+	/**
+	 * Whether the target has a shadow root we can access (and the modern adoptedStyleSheets API is supported).
 	 * @type { boolean }
 	 * @private
 	 */
 	get _isHost () {
+		let shadowRoot = this.#shadowRoot;
+
 		return (
-			this.target.shadowRoot &&
+			shadowRoot &&
 			!bugs.ADOPTED_STYLE_SHEET &&
-			!Object.isFrozen(this.target.shadowRoot.adoptedStyleSheets)
+			!Object.isFrozen(shadowRoot.adoptedStyleSheets)
 		);
 	}
 
+	/**
+	 * The shadow root to use for the shadow style sheet, if any.
+	 * @type { ShadowRoot | null | undefined }
+	 */
+	get #shadowRoot () {
+		return this.shadowRoot ?? this.target.shadowRoot;
+	}
+
 	/**
 	 * Shadow style sheet. Only used if _isHost is true.
 	 * @type { CSSStyleSheet | undefined }
@@ -314,6 +909,50 @@ export default class ElementStyleObserver {
 	 */
 	_shadowSheet;
 
+	/**
+	 * Style sheet with the rule for the observed pseudo-element. Only used if `pseudo` is set.
+	 * @type { CSSStyleSheet | undefined }
+	 * @private
+	 */
+	_pseudoSheet;
+
+	/**
+	 * Create a style sheet with a rule targeting the observed pseudo-element
+	 * in the document or shadow root the target belongs to.
+	 * @returns {CSSStyleSheet}
+	 */
+	#createPseudoSheet () {
+		let { pseudoIds } = ElementStyleObserver;
+		let id = pseudoIds.get(this.target);
+
+		if (id === undefined) {
+			id = ++ElementStyleObserver.#lastPseudoId;
+			pseudoIds.set(this.target, id);
+		}
+
+		this.target.setAttribute(PSEUDO_ATTRIBUTE, id);
+
+		let rule = `[${PSEUDO_ATTRIBUTE}="${id}"]${this.pseudo} { }`;
+		let root = this.target.getRootNode();
+		let doc = this.target.ownerDocument;
+
+		if (
+			root.adoptedStyleSheets &&
+			!Object.isFrozen(root.adoptedStyleSheets) &&
+			!(bugs.ADOPTED_STYLE_SHEET && root !== doc)
+		) {
+			let sheet = new doc.defaultView.CSSStyleSheet();
+			sheet.insertRule(rule);
+			root.adoptedStyleSheets.push(sheet);
+			return sheet;
+		}
+
+		let style = doc.createElement("style");
+		style.textContent = rule;
+		(root === doc ? doc.head : root).append(style);
+		return style.sheet;
+	}
+
 	/**
 	 * Any styles we've set on the target, for any reason.
 	 * @type { Record<string, string> }
@@ -331,13 +970,21 @@ export default class ElementStyleObserver {
 	setProperty (property, value, priority) {
 		let inlineStyle = this.target.style;
 		let style = inlineStyle;
-		if (this._isHost) {
+
+		if (this.pseudo) {
+			// Pseudo-elements have no inline style, so we use a generated style rule instead.
+			// It needs to win over any author styles for the pseudo-element, hence !important.
+			this._pseudoSheet ??= this.#createPseudoSheet();
+			style = this._pseudoSheet.cssRules[0].style;
+			priority = "important";
+		}
+		else if (this._isHost) {
 			// This has an open shadow root.
 			// We can use an adopted shadow style to avoid manipulating its style attribute
 			if (!this._shadowSheet) {
 				this._shadowSheet = new CSSStyleSheet();
 				this._shadowSheet.insertRule(`:host { }`);
-				this.target.shadowRoot.adoptedStyleSheets.push(this._shadowSheet);
+				this.#shadowRoot.adoptedStyleSheets.push(this._shadowSheet);
 
 				if (Object.keys(this._styles).length > 0) {
 					// It was previously not a host, so we need to port the properties over
@@ -367,8 +1014,11 @@ export default class ElementStyleObserver {
 	 * @return {string}
 	 */
 	getProperty (property) {
-		let style = this._shadowSheet?.cssRules[0]?.style ?? this.target.style;
-		return style.getPropertyValue(property);
+		let style = this.pseudo
+			? this._pseudoSheet?.cssRules[0]?.style
+			: (this._shadowSheet?.cssRules[0]?.style ?? this.target.style);
+
+		return style?.getPropertyValue(property) ?? "";
 	}
 
 	/**
@@ -377,26 +1027,154 @@ export default class ElementStyleObserver {
 	 * @return {void}
 	 */
 	unobserve (properties) {
-		properties = toArray(properties);
+		properties = this.#resolveShorthands(toArray(properties));
 
 		// Drop properties not being observed anyway
 		properties = properties.filter(property => this.properties.has(property));
 
+		for (let [backend, backendProperties] of this.#groupByBackend(properties)) {
+			backend.unobserve(backendProperties);
+		}
+
 		for (let property of properties) {
 			this.properties.delete(property);
+			this.#typedValues.delete(property);
+
+			for (let longhand of getShorthandLonghands(property)) {
+				let shorthands = this.#shorthands.get(longhand);
+				shorthands?.delete(property);
+
+				if (shorthands?.size === 0) {
+					this.#shorthands.delete(longhand);
+				}
+			}
 		}
 
 		if (this.properties.size === 0) {
 			// No longer observing any properties
-			this.target.removeEventListener("transitionrun", this);
-			this.target.removeEventListener("transitionstart", this);
-			this.target.removeEventListener("transitionend", this);
 			this.renderedObserver.unobserve(this.target);
 		}
 
-		this.updateTransitionProperties();
+		this.updateAnimations();
+	}
+
+	/**
+	 * Stop observing the target altogether and undo any changes made to it:
+	 * the author’s inline `transition` is restored, any adopted shadow style sheet is removed,
+	 * and the observer is removed from `ElementStyleObserver.all`.
+	 * The observer can still be reused by calling `observe()` again.
+	 * @return {void}
+	 */
+	disconnect () {
+		this.unobserve(this.propertyNames);
+		this.renderedObserver.disconnect();
+		this.constructor.all.delete(this.target, this);
+
+		for (let key of this.#schedulerKeys.values()) {
+			this.constructor.scheduler.cancel(key);
+		}
+
+		this.#scheduled.clear();
+
+		if (this._shadowSheet) {
+			let shadowRoot = this.#shadowRoot;
+
+			if (shadowRoot) {
+				shadowRoot.adoptedStyleSheets = shadowRoot.adoptedStyleSheets.filter(
+					sheet => sheet !== this._shadowSheet,
+				);
+			}
+		}
+
+		if (this._pseudoSheet) {
+			this.#removePseudoSheet();
+		}
+
+		let observers = this.#siblings;
+
+		if (observers.length > 0) {
+			// Other observers still need the inline styles, just drop our properties from their transition
+			for (let observer of observers) {
+				observer.updateTransitionProperties();
+			}
+		}
+		else if (!this._shadowSheet && !this.pseudo) {
+			this.#restoreInlineStyles();
+		}
+
+		this._shadowSheet = undefined;
+		this._pseudoSheet = undefined;
+		this._styles = {};
+		this.#inlineTransition = undefined;
+		this.#initialized = false;
+	}
+
+	/**
+	 * Remove the pseudo-element style sheet,
+	 * and the attribute used to target the element if no other pseudo-element observers need it.
+	 */
+	#removePseudoSheet () {
+		let sheet = this._pseudoSheet;
+
+		if (sheet.ownerNode) {
+			sheet.ownerNode.remove();
+		}
+		else {
+			let root = this.target.getRootNode();
+
+			if (root.adoptedStyleSheets) {
+				root.adoptedStyleSheets = root.adoptedStyleSheets.filter(s => s !== sheet);
+			}
+		}
+
+		let observers = this.constructor.all.get(this.target) ?? [];
+
+		if (![...observers].some(observer => observer._pseudoSheet)) {
+			this.target.removeAttribute(PSEUDO_ATTRIBUTE);
+		}
+	}
+
+	/**
+	 * Restore the inline styles we have overwritten to their original values.
+	 * Styles that have been changed externally since we set them are left alone.
+	 */
+	#restoreInlineStyles () {
+		let style = this.target.style;
+		let original = ElementStyleObserver.#originalStyles.get(this.target) ?? {};
+		ElementStyleObserver.#originalStyles.delete(this.target);
+
+		for (let property in this._styles) {
+			if (style.getPropertyValue(property) !== this._styles[property]) {
+				// Changed by someone else, not ours to restore
+				continue;
+			}
+
+			if (property === "transition" && original.transition) {
+				style.setProperty(property, original.transition);
+			}
+			else {
+				style.removeProperty(property);
+			}
+		}
+
+		if (original.attribute === null && style.length === 0) {
+			// There was no style attribute to begin with
+			this.target.removeAttribute("style");
+		}
 	}
 
+	/**
+	 * Backends to choose from for detecting changes, in order of preference.
+	 * The first one that supports a given property is used for it.
+	 * @type {(typeof import("./backends/Backend.js").default)[]}
+	 */
+	static backends = [TransitionBackend, PollingBackend];
+
+	/**
+	 * Shared by all instances, so that throttling and debouncing only needs a single timer.
+	 */
+	static scheduler = new Scheduler();
+
 	/** All properties ever observed by this class. */
 	static properties = new Set();
 
@@ -404,6 +1182,75 @@ export default class ElementStyleObserver {
 	 * All instances ever observed by this class.
 	 */
 	static all = new MultiWeakMap();
+
+	/**
+	 * The target’s inline styles before any observer touched them, so they can be restored.
+	 * @type {WeakMap<Element, { attribute: string | null, transition?: string }>}
+	 */
+	static #originalStyles = new WeakMap();
+
+	/**
+	 * Unique ids of elements whose pseudo-elements are being observed, used to target them in CSS.
+	 * @type {WeakMap<Element, number>}
+	 */
+	static pseudoIds = new WeakMap();
+
+	static #lastPseudoId = 0;
+}
+
+/**
+ * Initial values of properties, as serialized by the browser.
+ * @type {Map<string, string>}
+ */
+const initialValues = new Map();
+
+/**
+ * Get the initial value of a property, as serialized by the browser.
+ * @param {string} property
+ * @param {Document} [root=globalThis.document] - The document to use for computing the value.
+ * @returns {string}
+ */
+function getInitialValue (property, root = globalThis.document) {
+	if (!initialValues.has(property)) {
+		let dummy = root.createElement("div");
+		root.body.append(dummy);
+		initialValues.set(property, getComputedStyle(dummy).getPropertyValue(property));
+		dummy.remove();
+	}
+
+	return initialValues.get(property);
+}
+
+/**
+ * Resolve a target into its element and (normalized) pseudo-element.
+ * Both `"::before"` and the legacy `":before"` syntax are accepted.
+ * @param {Target} target
+ * @returns {{ element: Element, pseudo: string }}
+ */
+export function resolveTarget (target) {
+	if (!("element" in target)) {
+		return { element: target, pseudo: "" };
+	}
+
+	let { element, pseudo } = target;
+	pseudo = pseudo ? "::" + pseudo.replace(/^:{1,2}/, "") : "";
+
+	return { element, pseudo };
+}
+
+/**
+ * Get the longhands of a shorthand property.
+ * @param {string} property
+ * @returns {string[]} The longhands, or an empty array if the property is not a shorthand.
+ */
+function getShorthandLonghands (property) {
+	if (property.startsWith("--")) {
+		return [];
+	}
+
+	let longhands = getLonghands(property);
+
+	return longhands.length === 1 && longhands[0] === property ? [] : longhands;
 }
 
 /**
@@ -423,5 +1270,38 @@ export function resolveOptions (options) {
 		options = { properties: [], ...options };
 	}
 
+	let { properties } = options;
+
+	if (isPropertyMap(properties)) {
+		// Split the property map into a list of properties and their options
+		let propertyOptions = { ...options.propertyOptions };
+
+		for (let property in properties) {
+			let config = properties[property];
+			propertyOptions[property] =
+				typeof config === "function" ? { parse: config } : { ...config };
+		}
+
+		options.properties = Object.keys(properties);
+		options.propertyOptions = propertyOptions;
+	}
+	else {
+		options.properties = toArray(properties);
+	}
+
 	return options;
 }
+
+/**
+ * Check whether the value of the `properties` option is a property map, rather than a list of properties.
+ * @param {any} properties
+ * @returns {properties is PropertyMap}
+ */
+function isPropertyMap (properties) {
+	return (
+		typeof properties === "object" &&
+		properties !== null &&
+		!Array.isArray(properties) &&
+		typeof properties[Symbol.iterator] !== "function"
+	);
+}
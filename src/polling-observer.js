@@ -0,0 +1,180 @@
+/**
+ * Detect potential style changes of elements without relying on transitions.
+ * This observer fires the callback:
+ * - After any DOM mutation likely to affect styles (`style` or `class` changes anywhere in the tree, added or removed style sheets)
+ * - Once per frame for every rendered target, to pick up anything else (e.g. other attributes, media queries, `:hover`).
+ *   To keep frames fast, polling stops for the frame once the time budget is exhausted and continues where it left off in the next one.
+ *
+ * It is considerably more expensive than transition-based detection, so it should only be used for properties that cannot be observed otherwise.
+ */
+import { isProbeMutation } from "./util/resolve-value.js";
+
+export default class PollingObserver {
+	/**
+	 * All currently observed targets
+	 * @type {Set<Element>}
+	 */
+	#targets = new Set();
+
+	/**
+	 * Documents and shadow roots to MutationObserver instances
+	 * @type {Map<Document | ShadowRoot, MutationObserver>}
+	 */
+	#mutationObservers = new Map();
+
+	/**
+	 * The id of the pending animation frame, if polling.
+	 * @type {number | undefined}
+	 */
+	#frame;
+
+	/**
+	 * The index of the target to continue polling from in the next frame.
+	 * @type {number}
+	 */
+	#cursor = 0;
+
+	/**
+	 * @param {(records: { target: Element }[]) => void} callback
+	 * @param {object} [options]
+	 * @param {number} [options.budget=4] - Maximum time (in ms) to spend polling per frame.
+	 */
+	constructor (callback, { budget = 4 } = {}) {
+		this.callback = callback;
+		this.budget = budget;
+	}
+
+	/**
+	 * Begin polling an element.
+	 * @param {Element} element - The element to observe.
+	 */
+	observe (element) {
+		if (this.#targets.has(element)) {
+			// Already observing this element
+			return;
+		}
+
+		this.#targets.add(element);
+
+		// Styles may be affected by mutations in any of the trees the element is nested in
+		for (let root of getRoots(element)) {
+			if (this.#mutationObservers.has(root)) {
+				continue;
+			}
+
+			let mo = new MutationObserver(mutations => {
+				if (mutations.every(isProbeMutation)) {
+					// Only our own probes, which don't affect styles. Checking would resolve values again, in a loop.
+					return;
+				}
+
+				this.callback([...this.#targets].map(target => ({ target })));
+			});
+
+			mo.observe(root, {
+				attributes: true,
+				attributeFilter: ["style", "class"],
+				childList: true,
+				characterData: true,
+				subtree: true,
+			});
+			this.#mutationObservers.set(root, mo);
+		}
+
+		this.#frame ??= requestAnimationFrame(() => this.#poll());
+	}
+
+	/**
+	 * Stop polling an element.
+	 * @param {Element} [element] - The element to stop observing. If not provided, all targets will be unobserved.
+	 */
+	unobserve (element) {
+		if (!element) {
+			this.disconnect();
+			return;
+		}
+
+		this.#targets.delete(element);
+
+		if (this.#targets.size === 0) {
+			this.disconnect();
+			return;
+		}
+
+		// Release the MutationObserver instances of any trees no remaining target is nested in
+		let roots = new Set([...this.#targets].flatMap(target => getRoots(target)));
+
+		for (let [root, mo] of this.#mutationObservers) {
+			if (!roots.has(root)) {
+				mo.disconnect();
+				this.#mutationObservers.delete(root);
+			}
+		}
+	}
+
+	/**
+	 * Stop polling all targets and release all MutationObserver instances.
+	 */
+	disconnect () {
+		for (let mo of this.#mutationObservers.values()) {
+			mo.disconnect();
+		}
+
+		if (this.#frame !== undefined) {
+			cancelAnimationFrame(this.#frame);
+			this.#frame = undefined;
+		}
+
+		this.#mutationObservers.clear();
+		this.#targets.clear();
+	}
+
+	/**
+	 * Called once per frame while observing.
+	 */
+	#poll () {
+		let targets = [...this.#targets];
+		let start = performance.now();
+
+		for (let i = 0; i < targets.length; i++) {
+			let index = (this.#cursor + i) % targets.length;
+			let target = targets[index];
+
+			if (isRendered(target)) {
+				this.callback([{ target }]);
+			}
+
+			if (performance.now() - start > this.budget) {
+				// Out of time, continue in the next frame
+				this.#cursor = index + 1;
+				break;
+			}
+		}
+
+		this.#frame = requestAnimationFrame(() => this.#poll());
+	}
+}
+
+/**
+ * Get the document and shadow roots an element is nested in, innermost first.
+ * @param {Element} element
+ * @returns {(Document | ShadowRoot)[]}
+ */
+function getRoots (element) {
+	let roots = [];
+
+	for (let root = element.getRootNode(); root; root = root.host?.getRootNode()) {
+		roots.push(root);
+	}
+
+	return roots;
+}
+
+/**
+ * Check whether an element is rendered, i.e. its styles can change in ways that matter.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isRendered (element) {
+	return element.isConnected && (element.checkVisibility?.() ?? true);
+}
@@ -2,22 +2,39 @@
  * Monitor the presence of an element in the document.
  * This observer fires the callback in situations like:
  * - The element is added to the DOM
- * - The element gets slotted or its slot starts existing (but not when moved to another slot)
+ * - The element gets slotted or its slot starts existing
+ * - The element (or a slotted ancestor) is moved to another slot
  * - The element becomes visible from display: none
+ *
+ * Slot moves are only detected in open shadow roots.
  */
 
 export default class RenderedObserver {
 	/**
-	 * All currently observed targets
-	 * @type {WeakSet<Element>}
+	 * All currently observed targets.
+	 * Targets are removed when unobserved, so this does not keep them alive.
+	 * @type {Set<Element>}
 	 */
 	#targets = new Set();
 
 	/**
-	 * Documents to IntersectionObserver instances
-	 * @type {WeakMap<Document, IntersectionObserver>}
+	 * Documents to IntersectionObserver instances.
+	 * A Map rather than a WeakMap, so that `disconnect()` can find them all (even after all targets are unobserved).
+	 * @type {Map<Document, IntersectionObserver>}
 	 */
-	#intersectionObservers = new WeakMap();
+	#intersectionObservers = new Map();
+
+	/**
+	 * Shadow roots we are listening to `slotchange` on, to the targets whose slot assignment they may affect
+	 * @type {Map<ShadowRoot, Set<Element>>}
+	 */
+	#slotRoots = new Map();
+
+	/**
+	 * Targets to the slots they (or their slotted ancestors) were assigned to when last checked
+	 * @type {WeakMap<Element, HTMLSlotElement[]>}
+	 */
+	#assignedSlots = new WeakMap();
 
 	constructor (callback) {
 		this.callback = callback;
@@ -49,6 +66,7 @@ export default class RenderedObserver {
 
 		this.#targets.add(element);
 		io.observe(element);
+		this.#trackSlots(element);
 	}
 
 	/**
@@ -69,5 +87,118 @@ export default class RenderedObserver {
 
 		io?.unobserve(element);
 		this.#targets.delete(element);
+		this.#untrackSlots(element);
+	}
+
+	/**
+	 * Stop observing all targets and release all IntersectionObserver instances.
+	 */
+	disconnect () {
+		for (let io of this.#intersectionObservers.values()) {
+			io.disconnect();
+		}
+
+		for (let root of this.#slotRoots.keys()) {
+			root.removeEventListener("slotchange", this);
+		}
+
+		this.#intersectionObservers.clear();
+		this.#slotRoots.clear();
+		this.#targets.clear();
+	}
+
+	/**
+	 * Handle `slotchange` events and report targets that were moved to a different slot.
+	 * @param {Event} event
+	 */
+	handleEvent (event) {
+		let targets = [...(this.#slotRoots.get(event.currentTarget) ?? [])];
+
+		let moved = targets.filter(target => {
+			let slots = this.#assignedSlots.get(target) ?? [];
+			let { slots: newSlots } = getSlotting(target);
+
+			return (
+				newSlots.length !== slots.length || newSlots.some((slot, i) => slot !== slots[i])
+			);
+		});
+
+		for (let target of moved) {
+			// The shadow roots that may affect the target could have changed too
+			this.#untrackSlots(target);
+			this.#trackSlots(target);
+		}
+
+		if (moved.length > 0) {
+			this.callback(moved.map(target => ({ target })));
+		}
+	}
+
+	/**
+	 * Start listening to slot changes that may affect where an element is slotted.
+	 * @param {Element} element
+	 */
+	#trackSlots (element) {
+		let { slots, roots } = getSlotting(element);
+		this.#assignedSlots.set(element, slots);
+
+		for (let root of roots) {
+			let targets = this.#slotRoots.get(root);
+
+			if (!targets) {
+				targets = new Set();
+				this.#slotRoots.set(root, targets);
+				root.addEventListener("slotchange", this);
+			}
+
+			targets.add(element);
+		}
 	}
+
+	/**
+	 * Stop listening to slot changes for an element.
+	 * @param {Element} element
+	 */
+	#untrackSlots (element) {
+		for (let [root, targets] of this.#slotRoots) {
+			targets.delete(element);
+
+			if (targets.size === 0) {
+				root.removeEventListener("slotchange", this);
+				this.#slotRoots.delete(root);
+			}
+		}
+
+		this.#assignedSlots.delete(element);
+	}
+}
+
+/**
+ * Get the slots an element and its slotted ancestors are assigned to,
+ * and the shadow roots whose slots could change that.
+ * @param {Element} element
+ * @returns {{ slots: HTMLSlotElement[], roots: ShadowRoot[] }}
+ */
+function getSlotting (element) {
+	let slots = [];
+	let roots = [];
+
+	for (let node = element; node; ) {
+		let parent = node.parentElement;
+
+		if (parent?.shadowRoot) {
+			// Light DOM child of a shadow host, may be assigned to any of its slots
+			roots.push(parent.shadowRoot);
+		}
+
+		if (node.assignedSlot) {
+			slots.push(node.assignedSlot);
+			node = node.assignedSlot;
+		}
+		else {
+			node = parent ?? /** @type {ShadowRoot} */ (node.getRootNode()).host;
+		}
+	}
+
+	return { slots, roots };
 }
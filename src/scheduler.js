@@ -0,0 +1,190 @@
+/**
+ * Throttle or debounce callbacks, using a single shared timer for all of them.
+ * Calls are grouped by key: calls with the same key are throttled or debounced together.
+ *
+ * Unless throttling with `trailing: false`, the final call is never dropped:
+ * if anything was scheduled while waiting, the callback runs once the wait is over.
+ */
+
+/**
+ * @typedef { object } ThrottleOptions
+ * @property { number } wait - Minimum time (in ms) between calls.
+ * @property { boolean } [leading=false] - Call right away at the start of the wait, rather than only at the end.
+ * @property { boolean } [trailing=true] - Call at the end of the wait, if anything was scheduled during it.
+ * If `false`, anything scheduled during the wait is dropped. If both `leading` and `trailing` are `false`, `leading` is assumed.
+ */
+
+/**
+ * @typedef { object } DebounceOptions
+ * @property { number } wait - Only call once nothing has been scheduled for this long (in ms).
+ * @property { number } [maxWait] - Maximum time (in ms) a call can be delayed for.
+ */
+
+/**
+ * @typedef { { type: "throttle", wait: number, leading: boolean, trailing: boolean } | { type: "debounce", wait: number, maxWait?: number } } Timing
+ */
+
+/**
+ * @typedef { object } Task
+ * @property { Timing } timing
+ * @property { () => void } callback
+ * @property { boolean } pending - Whether a call is pending.
+ * @property { number } deadline - When to call (or end the throttle wait).
+ * @property { number } [start] - When the first pending call was scheduled. Only used when debouncing.
+ */
+
+export default class Scheduler {
+	/**
+	 * Scheduled tasks, by key.
+	 * @type {Map<any, Task>}
+	 */
+	#tasks = new Map();
+
+	/**
+	 * The id of the shared timer, if one is set.
+	 * @type {ReturnType<typeof setTimeout> | undefined}
+	 */
+	#timer;
+
+	/**
+	 * When the shared timer fires.
+	 * @type {number}
+	 */
+	#timerDeadline = Infinity;
+
+	/**
+	 * Schedule a call.
+	 * If a call with the same key is already scheduled, the timing it was scheduled with applies.
+	 * @param {any} key - Calls with the same key are throttled or debounced together.
+	 * @param {Timing} timing
+	 * @param {() => void} callback
+	 */
+	schedule (key, timing, callback) {
+		let now = performance.now();
+		let task = this.#tasks.get(key);
+
+		if (!task) {
+			task = { timing, callback, pending: false, deadline: now };
+			this.#tasks.set(key, task);
+
+			if (timing.type === "throttle") {
+				task.deadline = now + timing.wait;
+
+				if (timing.leading) {
+					callback();
+				}
+				else {
+					task.pending = true;
+				}
+			}
+		}
+		else if (task.timing.type === "debounce" || task.timing.trailing) {
+			task.callback = callback;
+			task.pending = true;
+		}
+
+		if (task.timing.type === "debounce") {
+			let { wait, maxWait } = task.timing;
+			task.pending = true;
+			task.start ??= now;
+			task.deadline = Math.min(now + wait, task.start + (maxWait ?? Infinity));
+		}
+
+		this.#updateTimer();
+	}
+
+	/**
+	 * Cancel a scheduled call.
+	 * @param {any} key
+	 */
+	cancel (key) {
+		if (this.#tasks.delete(key)) {
+			this.#updateTimer();
+		}
+	}
+
+	/**
+	 * Run any tasks that are due.
+	 */
+	#tick () {
+		this.#timer = undefined;
+		this.#timerDeadline = Infinity;
+
+		let now = performance.now();
+
+		try {
+			for (let [key, task] of this.#tasks) {
+				if (task.deadline > now) {
+					continue;
+				}
+
+				let { pending } = task;
+
+				if (pending && task.timing.type === "throttle" && task.timing.leading) {
+					// Keep throttling, so that the next call is not made right away
+					task.pending = false;
+					task.deadline = now + task.timing.wait;
+				}
+				else {
+					this.#tasks.delete(key);
+				}
+
+				if (pending) {
+					task.callback();
+				}
+			}
+		}
+		finally {
+			this.#updateTimer();
+		}
+	}
+
+	/**
+	 * Make sure the shared timer fires at the earliest deadline.
+	 */
+	#updateTimer () {
+		let deadline = Math.min(...[...this.#tasks.values()].map(task => task.deadline));
+
+		if (deadline === this.#timerDeadline) {
+			return;
+		}
+
+		clearTimeout(this.#timer);
+		this.#timer = undefined;
+		this.#timerDeadline = deadline;
+
+		if (deadline < Infinity) {
+			this.#timer = setTimeout(() => this.#tick(), Math.max(0, deadline - performance.now()));
+		}
+	}
+}
+
+/**
+ * Resolve the `throttle` and `debounce` options into a timing.
+ * A number for `throttle` is the wait of a trailing throttle, a number for `debounce` is its wait.
+ * @param {object} options
+ * @param {number | ThrottleOptions} [options.throttle]
+ * @param {number | DebounceOptions} [options.debounce]
+ * @returns {Timing | null} The timing, or `null` if calls should not be delayed.
+ */
+export function resolveTiming ({ throttle, debounce }) {
+	if (typeof debounce === "number") {
+		debounce = { wait: debounce };
+	}
+
+	if (debounce?.wait > 0) {
+		return { type: "debounce", wait: debounce.wait, maxWait: debounce.maxWait };
+	}
+
+	if (typeof throttle === "number") {
+		throttle = { wait: throttle };
+	}
+
+	if (throttle?.wait > 0) {
+		let { wait, leading = false, trailing = true } = throttle;
+		// With neither, nothing would ever be called
+		return { type: "throttle", wait, leading: leading || !trailing, trailing };
+	}
+
+	return null;
+}
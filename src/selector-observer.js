@@ -0,0 +1,334 @@
+/**
+ * Track the elements matching a selector within a root,
+ * as they are added to or removed from the DOM, or start or stop matching the selector.
+ * When observing the whole subtree, elements in open shadow roots are also tracked.
+ *
+ * Only the nodes affected by each mutation are checked, and only attributes the selector refers to are observed
+ * (all attributes, if it uses pseudo-classes, since e.g. `:disabled` or `:lang()` depend on attributes it does not mention).
+ * Changes in matching that involve no mutations (e.g. `:hover` or `:checked`) are only picked up by calling `update()`
+ * (`StyleObserver.updateSelectors()`).
+ */
+import { isProbeMutation } from "./util/resolve-value.js";
+
+export default class SelectorObserver {
+	/**
+	 * Currently matching elements
+	 * @type {Set<Element>}
+	 */
+	matches = new Set();
+
+	/**
+	 * Document, elements and shadow roots to MutationObserver instances
+	 * @type {Map<Node, MutationObserver>}
+	 */
+	#mutationObservers = new Map();
+
+	/**
+	 * What can affect whether elements match the selector.
+	 * @type {ReturnType<typeof getDependencies>}
+	 */
+	#dependencies;
+
+	/**
+	 * @param {(changes: { added: Element[], removed: Element[] }) => void} callback
+	 */
+	constructor (callback) {
+		this.callback = callback;
+	}
+
+	/**
+	 * Begin tracking the elements matching a selector.
+	 * The callback is called right away with all current matches.
+	 * @param {object} options
+	 * @param {string} options.selector - The selector elements need to match.
+	 * @param {Document | Element | ShadowRoot} [options.root=document] - The root to look for matching elements in.
+	 * @param {boolean} [options.subtree=true] - Whether to look in the whole subtree of the root (including open shadow roots) or only its children.
+	 */
+	observe ({ selector, root = globalThis.document, subtree = true }) {
+		this.disconnect();
+
+		Object.assign(this, { selector, root, subtree });
+		this.#dependencies = getDependencies(selector);
+		this.update();
+	}
+
+	/**
+	 * Stop tracking matching elements.
+	 * Elements that were matching are not reported as removed.
+	 */
+	disconnect () {
+		for (let mo of this.#mutationObservers.values()) {
+			mo.disconnect();
+		}
+
+		this.#mutationObservers.clear();
+		this.matches = new Set();
+	}
+
+	/**
+	 * Look for elements that started or stopped matching anywhere in the root, and report them to the callback.
+	 */
+	update () {
+		let { elements, roots } = this.#scan([this.root]);
+		let matches = new Set(elements.filter(element => element.matches(this.selector)));
+
+		// Stop observing shadow roots that are no longer in the tree
+		for (let [node, mo] of this.#mutationObservers) {
+			if (!roots.includes(node)) {
+				mo.disconnect();
+				this.#mutationObservers.delete(node);
+			}
+		}
+
+		this.#report(
+			[...matches].filter(element => !this.matches.has(element)),
+			[...this.matches].filter(element => !matches.has(element)),
+		);
+	}
+
+	/**
+	 * Check the elements affected by some mutations, and report any that started or stopped matching.
+	 * @param {MutationRecord[]} mutations
+	 */
+	#handleMutations (mutations) {
+		// Ignore our own probes, added and removed while resolving values
+		mutations = mutations.filter(mutation => !isProbeMutation(mutation));
+
+		if (mutations.length === 0) {
+			return;
+		}
+
+		if (this.#dependencies.has) {
+			// `:has()` makes elements depend on their descendants, so anything could have changed
+			this.update();
+			return;
+		}
+
+		/** @type {Set<Element>} */
+		let candidates = new Set();
+
+		for (let mutation of mutations) {
+			if (mutation.type === "attributes") {
+				let element = /** @type {Element} */ (mutation.target);
+				let parent = element.parentNode;
+				let { combinators, pseudoClasses } = this.#dependencies;
+
+				if ((combinators || pseudoClasses) && parent) {
+					// The element's attributes can affect whether its descendants and later siblings match
+					// (e.g. via `:disabled` or `:lang()`, even without combinators)
+					this.#getElements(parent).forEach(element => candidates.add(element));
+				}
+
+				candidates.add(element);
+				continue;
+			}
+
+			if (this.#dependencies.structural) {
+				// Adding or removing children can change whether their siblings (and their parent) match
+				let parent = mutation.target;
+				this.#getElements(parent).forEach(element => candidates.add(element));
+
+				if (parent.nodeType === Node.ELEMENT_NODE) {
+					candidates.add(/** @type {Element} */ (parent));
+				}
+			}
+
+			for (let node of mutation.removedNodes) {
+				for (let match of this.matches) {
+					if (match === node || node.contains(match) || !match.isConnected) {
+						candidates.add(match);
+					}
+				}
+			}
+
+			let added = [...mutation.addedNodes].filter(
+				node => node.nodeType === Node.ELEMENT_NODE,
+			);
+
+			for (let element of /** @type {Element[]} */ (added)) {
+				let elements = [element, ...this.#getElements(element)];
+				let shadowRoots = this.subtree
+					? elements.map(e => e.shadowRoot).filter(Boolean)
+					: [];
+
+				elements.push(...this.#scan(shadowRoots).elements);
+				elements.forEach(element => candidates.add(element));
+			}
+		}
+
+		let added = [];
+		let removed = [];
+
+		for (let element of candidates) {
+			let matches = this.#isInScope(element) && element.matches(this.selector);
+
+			if (matches && !this.matches.has(element)) {
+				added.push(element);
+			}
+			else if (!matches && this.matches.has(element)) {
+				removed.push(element);
+			}
+		}
+
+		this.#report(added, removed);
+
+		// Stop observing shadow roots whose hosts were removed
+		for (let [node, mo] of this.#mutationObservers) {
+			if (node !== this.root && !node.isConnected) {
+				mo.disconnect();
+				this.#mutationObservers.delete(node);
+			}
+		}
+	}
+
+	/**
+	 * Update the matches and report any changes to the callback.
+	 * @param {Element[]} added
+	 * @param {Element[]} removed
+	 */
+	#report (added, removed) {
+		added.forEach(element => this.matches.add(element));
+		removed.forEach(element => this.matches.delete(element));
+
+		if (added.length > 0 || removed.length > 0) {
+			this.callback({ added, removed });
+		}
+	}
+
+	/**
+	 * Observe some roots and any open shadow roots nested in them (when observing the whole subtree),
+	 * and get the elements in them that could match.
+	 * @param {(Document | Element | ShadowRoot)[]} roots
+	 * @returns {{ elements: Element[], roots: (Document | Element | ShadowRoot)[] }}
+	 */
+	#scan (roots) {
+		let elements = [];
+		roots = [...roots];
+
+		for (let i = 0; i < roots.length; i++) {
+			this.#observeRoot(roots[i]);
+
+			for (let element of this.#getElements(roots[i])) {
+				elements.push(element);
+
+				if (this.subtree && element.shadowRoot) {
+					roots.push(element.shadowRoot);
+				}
+			}
+		}
+
+		return { elements, roots };
+	}
+
+	/**
+	 * Get the elements within a node that could match:
+	 * all its descendants when observing the whole subtree, otherwise only the children of the root.
+	 * @param {Node} node
+	 * @returns {Element[]}
+	 */
+	#getElements (node) {
+		if (!this.subtree) {
+			return node === this.root ? [...this.root.children] : [];
+		}
+
+		return "querySelectorAll" in node
+			? [.../** @type {ParentNode} */ (node).querySelectorAll("*")]
+			: [];
+	}
+
+	/**
+	 * Check whether an element is within the part of the root being observed.
+	 * @param {Element} element
+	 * @returns {boolean}
+	 */
+	#isInScope (element) {
+		if (!this.subtree) {
+			return element.parentNode === this.root;
+		}
+
+		for (let node = element; node; node = /** @type {ShadowRoot} */ (node.getRootNode()).host) {
+			if (this.root.contains(node)) {
+				return node !== this.root;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Start listening to mutations of a root, if not already.
+	 * @param {Document | Element | ShadowRoot} root
+	 */
+	#observeRoot (root) {
+		if (this.#mutationObservers.has(root)) {
+			return;
+		}
+
+		let { attributes } = this.#dependencies;
+		// Even if only looking at children, their attributes may change whether they match
+		let options = { childList: true, subtree: true };
+
+		if (attributes === true) {
+			options.attributes = true;
+		}
+		else if (attributes.length > 0) {
+			options.attributeFilter = attributes;
+		}
+
+		let mo = new MutationObserver(mutations => this.#handleMutations(mutations));
+		mo.observe(root, options);
+		this.#mutationObservers.set(root, mo);
+	}
+}
+
+/**
+ * Find out what can affect whether elements match a selector.
+ * @param {string} selector
+ * @returns {{ attributes: string[] | true, combinators: boolean, pseudoClasses: boolean, structural: boolean, has: boolean }}
+ * - `attributes`: The attributes the selector refers to, or `true` if we cannot tell (e.g. because of escapes or pseudo-classes).
+ * - `combinators`: Whether the selector has combinators, i.e. depends on other elements than the one matching.
+ * - `pseudoClasses`: Whether the selector uses pseudo-classes, which may depend on any attribute of the element or its ancestors.
+ * - `structural`: Whether the selector depends on siblings or children (structural pseudo-classes or sibling combinators).
+ * - `has`: Whether the selector uses `:has()`, i.e. depends on descendants.
+ */
+function getDependencies (selector) {
+	// Ignore the contents of strings, e.g. in attribute values
+	let code = selector.replace(/(["'])(?:\\.|(?!\1).)*\1/g, '""');
+
+	let has = /:has\(/i.test(code);
+
+	if (code.includes("\\")) {
+		return { attributes: true, combinators: true, pseudoClasses: true, structural: true, has };
+	}
+
+	let attributes = new Set();
+
+	if (/\.[-_a-zA-Z\u00A0-\uFFFF]/.test(code)) {
+		attributes.add("class");
+	}
+
+	if (/#[-_a-zA-Z\u00A0-\uFFFF]/.test(code)) {
+		attributes.add("id");
+	}
+
+	for (let [, name] of code.matchAll(/\[\s*(?:[-\w*]*\|)?([-\w\u00A0-\uFFFF]+)/g)) {
+		attributes.add(name.toLowerCase());
+	}
+
+	// Drop the contents of brackets, and whitespace that is not a descendant combinator
+	let compound = code
+		.replace(/\[[^\]]*\]/g, "")
+		.replace(/\s*([>+~,()])\s*/g, "$1")
+		.trim();
+
+	// A single colon, i.e. not a pseudo-element
+	let pseudoClasses = /(?:^|[^:]):[-a-z]/i.test(code);
+
+	return {
+		attributes: pseudoClasses ? true : [...attributes],
+		combinators: /[\s>+~]/.test(compound),
+		pseudoClasses,
+		structural: /[+~]/.test(compound) || /:(?:first|last|only|nth)-|:nth-|:empty\b/i.test(code),
+		has,
+	};
+}
@@ -0,0 +1,197 @@
+import StyleObserver from "./style-observer.js";
+
+/**
+ * A minimal interface over signal implementations.
+ * @typedef { object } SignalAdapter
+ * @property { <T>(value: T, hooks: { watched: () => void, unwatched: () => void }) => { get (): T, set (value: T): void } } state
+ * Create a writable signal, calling `watched` when it starts being watched and `unwatched` when it stops.
+ * @property { <T>(fn: () => T) => { get (): T } } computed - Create a read-only signal derived from other signals.
+ */
+
+/**
+ * @typedef { object } SignalOptions
+ * @property { SignalAdapter } [adapter] - The signal implementation to use. Defaults to the one set via `setSignalAdapter()`.
+ */
+
+/**
+ * The adapter used when none is provided.
+ * @type {SignalAdapter | undefined}
+ */
+let defaultAdapter;
+
+/**
+ * Set the signal implementation to use by default.
+ * @param {SignalAdapter} adapter
+ */
+export function setSignalAdapter (adapter) {
+	defaultAdapter = adapter;
+}
+
+/**
+ * Create an adapter for implementations of the TC39 Signals proposal (e.g. `signal-polyfill`).
+ * @param {any} Signal - The `Signal` namespace.
+ * @returns {SignalAdapter}
+ */
+export function tc39Adapter (Signal) {
+	return {
+		state: (value, { watched, unwatched }) => {
+			return new Signal.State(value, {
+				[Signal.subtle.watched]: watched,
+				[Signal.subtle.unwatched]: unwatched,
+			});
+		},
+		computed: fn => new Signal.Computed(fn),
+	};
+}
+
+/**
+ * Get the adapter to use.
+ * @param {SignalAdapter} [adapter]
+ * @returns {SignalAdapter}
+ */
+function getAdapter (adapter) {
+	adapter ??= defaultAdapter;
+
+	if (!adapter && globalThis.Signal?.State) {
+		// A TC39 Signals implementation is available globally
+		adapter = defaultAdapter = tc39Adapter(globalThis.Signal);
+	}
+
+	if (!adapter) {
+		throw new TypeError("No signal implementation available. Call setSignalAdapter() first.");
+	}
+
+	return adapter;
+}
+
+/**
+ * Create a state signal with the computed values of some CSS properties, observing them with a single observer while it is watched.
+ * While it is not watched, nothing updates it, so it needs to be refreshed before it is read.
+ * @param {Element} element
+ * @param {string[]} properties
+ * @param {SignalAdapter} adapter
+ * @returns {{ get (): { [property: string]: string }, read (): { [property: string]: string }, refresh (): void, readonly watched: boolean }}
+ */
+function styleState (element, properties, adapter) {
+	/** @type {StyleObserver | undefined} */
+	let observer;
+
+	let read = () => {
+		let cs = getComputedStyle(element);
+		return Object.fromEntries(
+			properties.map(property => [property, cs.getPropertyValue(property)]),
+		);
+	};
+
+	/**
+	 * Update the state with some changed values, if any are actually different.
+	 * @param {{ [property: string]: string }} changes
+	 */
+	let update = changes => {
+		let changed = Object.keys(changes).filter(
+			property => values[property] !== changes[property],
+		);
+
+		if (changed.length > 0) {
+			// Only remember the new values if the state accepted them
+			let newValues = { ...values, ...changes };
+			state.set(newValues);
+			values = newValues;
+		}
+	};
+
+	let values = read();
+	let state = adapter.state(values, {
+		watched () {
+			observer = new StyleObserver(
+				records => {
+					let changes = records
+						.filter(record => !record.pseudo)
+						.map(({ property, value }) => [property, value]);
+					update(Object.fromEntries(changes));
+				},
+				{ targets: element, properties, immediate: true },
+			);
+		},
+		unwatched () {
+			observer?.disconnect();
+			observer = undefined;
+		},
+	});
+
+	return {
+		get: () => state.get(),
+		read,
+		refresh () {
+			if (!observer) {
+				update(read());
+			}
+		},
+		get watched () {
+			return Boolean(observer);
+		},
+	};
+}
+
+/**
+ * Create a read-only signal (via the adapter) that is derived from a style state.
+ * While the state is not watched, reading the signal refreshes the state first,
+ * so that the signal (and any signals derived from it) reflect the current computed values.
+ * @template T
+ * @param {ReturnType<typeof styleState>} state
+ * @param {(values: { [property: string]: string }) => T} fn
+ * @param {SignalAdapter} adapter
+ * @returns {{ get (): T }}
+ */
+function derive (state, fn, adapter) {
+	let signal = adapter.computed(() => fn(state.get()));
+	let get = signal.get;
+
+	signal.get = function () {
+		try {
+			state.refresh();
+		}
+		catch (e) {
+			// Signal implementations may not allow writes while computing other signals,
+			// in which case we can still return the current value, but cannot update the state
+			get.call(this);
+			return fn(state.read());
+		}
+
+		return get.call(this);
+	};
+
+	return signal;
+}
+
+/**
+ * Create a read-only signal that tracks the computed value of a CSS property.
+ * The property is only observed while the signal is watched. While it is not, reading the signal reads the computed value.
+ * @param {Element} element
+ * @param {string} property
+ * @param {SignalOptions} [options]
+ * @returns {{ get (): string }} A computed signal of the adapter’s implementation.
+ */
+export function styleSignal (element, property, { adapter } = {}) {
+	adapter = getAdapter(adapter);
+
+	let state = styleState(element, [property], adapter);
+	return derive(state, values => values[property], adapter);
+}
+
+/**
+ * Create a read-only signal derived from the computed values of some CSS properties.
+ * All properties are observed together, and only while the signal is watched.
+ * @template T
+ * @param {Element} element
+ * @param {string[]} properties
+ * @param {(values: { [property: string]: string }) => T} fn - Compute the value from the values of the properties.
+ * @param {SignalOptions} [options]
+ * @returns {{ get (): T }} A computed signal of the adapter’s implementation.
+ */
+export function styleComputed (element, properties, fn, { adapter } = {}) {
+	adapter = getAdapter(adapter);
+
+	let state = styleState(element, properties, adapter);
+	return derive(state, fn, adapter);
+}
@@ -0,0 +1,25 @@
+/**
+ * Event dispatched on observed targets when their styles change, with the `dispatchEvents` option.
+ * By default, it bubbles and crosses shadow boundaries, so that ancestors can listen for changes declaratively.
+ */
+export default class StyleChangeEvent extends Event {
+	/**
+	 * @param {string} type - The event type, usually `"stylechange"`.
+	 * @param {EventInit & { property: string, value: string, oldValue?: string, pseudo?: string }} init
+	 */
+	constructor (type, { property, value, oldValue, pseudo, ...init }) {
+		super(type, { bubbles: true, composed: true, ...init });
+
+		/** The property that changed. */
+		this.property = property;
+
+		/** The new value of the property. */
+		this.value = value;
+
+		/** The old value of the property. `undefined` for initial values reported via the `immediate` option. */
+		this.oldValue = oldValue;
+
+		/** The pseudo-element that changed, if any. */
+		this.pseudo = pseudo;
+	}
+}
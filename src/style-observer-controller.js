@@ -0,0 +1,159 @@
+import StyleObserver from "./style-observer.js";
+import { toArray } from "./util.js";
+
+/**
+ * @typedef { object } ReactiveControllerHost
+ * @property { (controller: StyleObserverController) => void } addController
+ * @property { () => void } requestUpdate
+ */
+
+/**
+ * @typedef { object } StyleObserverControllerOptions
+ * @property { string | string[] } properties - The properties to observe.
+ * @property { Element | (() => Element) } [target] - The element to observe, or a function that returns it when the host connects.
+ * Defaults to the host.
+ */
+
+/**
+ * A reactive controller (as in Lit, but only relying on the `addController()`/`requestUpdate()` protocol)
+ * that keeps the current values of CSS properties in `values`, and requests a host update whenever they change.
+ * All controllers share a single `StyleObserver`, and properties stay observed as long as any connected controller needs them.
+ * Properties nobody needs anymore are unobserved, so disconnected targets are not kept alive.
+ */
+export default class StyleObserverController {
+	/**
+	 * The current values of the observed properties.
+	 * Replaced with a new object whenever any of them changes.
+	 * @type {{ [property: string]: string }}
+	 */
+	values = {};
+
+	/**
+	 * The element being observed, while the host is connected.
+	 * @type {Element | undefined}
+	 */
+	#target;
+
+	/**
+	 * @param {ReactiveControllerHost} host
+	 * @param {StyleObserverControllerOptions} options
+	 */
+	constructor (host, { properties, target }) {
+		this.host = host;
+		this.properties = toArray(properties);
+		this.target = target;
+
+		host.addController(this);
+	}
+
+	hostConnected () {
+		let target = typeof this.target === "function" ? this.target() : (this.target ?? this.host);
+		target = this.#target = /** @type {Element} */ (target);
+
+		let controllers = StyleObserverController.#controllers.get(target);
+
+		if (!controllers) {
+			controllers = new Set();
+			StyleObserverController.#controllers.set(target, controllers);
+		}
+
+		controllers.add(this);
+
+		let counts = StyleObserverController.#refCounts.get(target);
+
+		if (!counts) {
+			counts = new Map();
+			StyleObserverController.#refCounts.set(target, counts);
+		}
+
+		let newProperties = this.properties.filter(property => !counts.has(property));
+
+		for (let property of this.properties) {
+			counts.set(property, (counts.get(property) ?? 0) + 1);
+		}
+
+		if (newProperties.length > 0) {
+			StyleObserverController.#observer.observe(target, newProperties);
+		}
+
+		let cs = getComputedStyle(target);
+		this.values = Object.fromEntries(
+			this.properties.map(property => [property, cs.getPropertyValue(property)]),
+		);
+	}
+
+	hostDisconnected () {
+		let target = this.#target;
+
+		if (!target) {
+			return;
+		}
+
+		StyleObserverController.#controllers.get(target)?.delete(this);
+
+		let counts = StyleObserverController.#refCounts.get(target);
+		let unused = [];
+
+		for (let property of this.properties) {
+			let count = (counts?.get(property) ?? 1) - 1;
+
+			if (count > 0) {
+				counts.set(property, count);
+			}
+			else {
+				counts?.delete(property);
+				unused.push(property);
+			}
+		}
+
+		if (unused.length > 0) {
+			StyleObserverController.#observer.unobserve(target, unused);
+		}
+
+		this.#target = undefined;
+	}
+
+	/**
+	 * Update the values of the controllers affected by some records, and request an update of their hosts.
+	 * @param {import("./element-style-observer.js").Record[]} records
+	 */
+	static #handleRecords (records) {
+		let changed = new Set();
+
+		for (let { target, pseudo, property, value } of records) {
+			if (pseudo) {
+				continue;
+			}
+
+			for (let controller of this.#controllers.get(target) ?? []) {
+				if (controller.properties.includes(property)) {
+					controller.values = { ...controller.values, [property]: value };
+					changed.add(controller);
+				}
+			}
+		}
+
+		for (let controller of changed) {
+			controller.host.requestUpdate();
+		}
+	}
+
+	/**
+	 * Connected controllers, by target.
+	 * @type {WeakMap<Element, Set<StyleObserverController>>}
+	 */
+	static #controllers = new WeakMap();
+
+	/**
+	 * How many connected controllers need each property, by target.
+	 * @type {WeakMap<Element, Map<string, number>>}
+	 */
+	static #refCounts = new WeakMap();
+
+	/**
+	 * The observer shared by all controllers.
+	 * @type {StyleObserver}
+	 */
+	static #observer = new StyleObserver(records =>
+		StyleObserverController.#handleRecords(records));
+}
@@ -1,25 +1,106 @@
-import ElementStyleObserver, { resolveOptions } from "./element-style-observer.js";
+import CauseTracker from "./cause-tracker.js";
+import ElementStyleObserver, { resolveOptions, resolveTarget } from "./element-style-observer.js";
+import SelectorObserver from "./selector-observer.js";
+import StyleChangeEvent from "./style-change-event.js";
 import { toArray } from "./util.js";
 
 /**
  * @typedef {import("./element-style-observer.js").StyleObserverCallback} StyleObserverCallback
+ * @typedef {import("./element-style-observer.js").Record} Record
+ * @typedef {import("./element-style-observer.js").Target} Target
+ * @typedef {import("./element-style-observer.js").PropertyMap} PropertyMap
  */
 
 /**
+ * The records an observer produces: typed according to the property map, if one was provided.
+ * @template {PropertyMap} M
+ * @typedef { string extends keyof M ? Record : import("./element-style-observer.js").TypedRecord<M> } ObserverRecord
+ */
+
+/**
+ * @typedef { Object } SelectorTarget
+ * @property {string} selector - Observe all elements matching this selector, including any that start matching later.
+ * @property {Document | Element | ShadowRoot} [root=document] - Where to look for matching elements.
+ * @property {boolean} [subtree=true] - Whether to look in the whole subtree of the root (including open shadow roots) or only its children.
+ * @property {string} [pseudo] - Observe this pseudo-element of the matching elements rather than the elements themselves.
+ */
+
+/**
+ * @template {PropertyMap} [M=PropertyMap]
  * @typedef { Object } StyleObserverOptions
- * @property {string | string[]} [properties] - The properties to observe.
- * @property {Element | Element[]} [targets] - The elements to observe.
+ * @property {string | string[] | M} [properties] - The properties to observe.
+ * Either a list of properties, or an object mapping properties to their parsers or per-property options.
+ * @property {Target | SelectorTarget | (Target | SelectorTarget)[]} [targets] - The elements (or pseudo-elements) to observe.
+ * @property {boolean} [immediate] - Whether to report the initial values of newly observed properties.
+ * @property {boolean | "keyframes"} [animations] - Whether to also detect changes caused by CSS animations and the Web Animations API.
+ * If `"keyframes"`, these are only reported at keyframe boundaries rather than every frame.
+ * @property {import("./element-style-observer.js").EqualsCallback} [equals] - Decide whether a change in value is significant enough to report.
+ * Can also be set per property, via the property map.
+ * @property {import("./element-style-observer.js").Normalize} [normalize] - Canonicalize values before comparing and reporting them.
+ * Can also be set per property, via the property map.
+ * @property {number[]} [thresholds] - Only report changes when numeric values cross one of these thresholds.
+ * Can also be set per property, via the property map.
+ * @property {number | import("./scheduler.js").ThrottleOptions} [throttle] - Throttle reporting changes.
+ * Can also be set per property, via the property map.
+ * @property {number | import("./scheduler.js").DebounceOptions} [debounce] - Only report changes once there have been no changes for a while.
+ * Can also be set per property, via the property map.
+ * @property {"shorthand" | "longhands"} [shorthands="shorthand"] - Whether changes to observed shorthands (e.g. `margin`) are reported
+ * as records for the shorthand, or as records for each longhand that changed.
+ * @property {boolean} [dispatchEvents] - Also dispatch a `stylechange` event (a `StyleChangeEvent`) on the target of each record.
+ * @property {boolean} [attributeCauses] - Add a `cause` to records, by correlating them with attribute mutations of their targets and their ancestors,
+ * media query changes, and style sheets being added since the last delivery.
+ * @property {"string" | "typed"} [valueType="string"] - Set to `"typed"` to also get values as CSS Typed OM objects (`typedValue`/`oldTypedValue`).
  */
 
+/**
+ * @typedef { Object } ObserveOptions
+ * @property {boolean} [immediate] - Whether to report the initial values of newly observed properties. Defaults to the constructor option.
+ */
+
+/**
+ * @template {PropertyMap} [M=PropertyMap]
+ */
 export default class StyleObserver {
 	/**
-	 * @type { WeakMap<Element, ElementStyleObserver> }
+	 * Observers for each element, keyed by pseudo-element (an empty string for the element itself).
+	 * @type { WeakMap<Element, Map<string, ElementStyleObserver>> }
 	 */
 	elementObservers = new WeakMap();
 
 	/**
-	 * @param {StyleObserverCallback} callback
-	 * @param {StyleObserverOptions | string | string[]} [options]
+	 * Elements with an entry in `elementObservers`, so that they can be iterated over.
+	 * Elements are removed once they are no longer observed, so that they can be garbage collected.
+	 * @type {Set<Element>}
+	 */
+	#targets = new Set();
+
+	/**
+	 * Records that have not been delivered to the callback yet.
+	 * @type {Record[]}
+	 */
+	#queue = [];
+
+	/**
+	 * Selector-based targets, along with the properties observed on their matches.
+	 * @type {{ target: SelectorTarget, properties: Set<string>, immediate?: boolean, observer: SelectorObserver }[]}
+	 */
+	#selectorTargets = [];
+
+	/**
+	 * Whether a delivery of the queued records is already scheduled.
+	 * @type {boolean}
+	 */
+	#deliveryScheduled = false;
+
+	/**
+	 * Tracks what may have caused changes, with the `attributeCauses` option.
+	 * @type {CauseTracker | undefined}
+	 */
+	#causeTracker;
+
+	/**
+	 * @param {(records: ObserverRecord<M>[]) => void} callback
+	 * @param {StyleObserverOptions<M> | string | string[]} [options]
 	 */
 	constructor (callback, options) {
 		this.callback = callback;
@@ -39,32 +120,143 @@ export default class StyleObserver {
 	}
 
 	/**
+	 * All element observers created by this instance.
+	 * @type {ElementStyleObserver[]}
+	 */
+	get #observers () {
+		return [...this.#targets].flatMap(element => [
+			...this.elementObservers.get(element).values(),
+		]);
+	}
+
+	/**
+	 * Get the observer for a target, if one exists.
+	 * @param {Target} target
+	 * @returns {ElementStyleObserver | undefined}
+	 */
+	#getObserver (target) {
+		let { element, pseudo } = resolveTarget(target);
+		return this.elementObservers.get(element)?.get(pseudo);
+	}
+
+	/**
+	 * Queue records for delivery to the callback.
+	 * Records from all targets are delivered together, once per frame (or right after the current task, while the page is hidden).
 	 * @type {StyleObserverCallback}
 	 */
 	changed (records) {
-		// TODO throttle & combine records
+		this.#queue.push(...records);
+
+		if (!this.#deliveryScheduled) {
+			this.#deliveryScheduled = true;
+			nextFrame().then(() => this.#deliver());
+		}
+	}
+
+	/**
+	 * Invoke the callback with any queued records.
+	 */
+	#deliver () {
+		this.#deliveryScheduled = false;
+
+		if (this.#queue.length === 0) {
+			// Already taken via takeRecords()
+			return;
+		}
+
+		let records = this.#attributeCauses(this.#mergeRecords(this.#queue));
+		this.#queue = [];
+
+		if (records.length === 0) {
+			return;
+		}
+
+		if (this.options.dispatchEvents) {
+			for (let { target, property, value, oldValue, pseudo } of records) {
+				target.dispatchEvent(
+					new StyleChangeEvent("stylechange", { property, value, oldValue, pseudo }),
+				);
+			}
+		}
+
 		this.callback(records);
 	}
 
+	/**
+	 * Empty the record queue and return what was in there,
+	 * including any changes that have not been picked up via transition events yet.
+	 * Like `MutationObserver.takeRecords()`, the returned records will not be passed to the callback.
+	 * @returns {Record[]}
+	 */
+	takeRecords () {
+		let records = this.#queue;
+		this.#queue = [];
+
+		for (let observer of this.#observers) {
+			records.push(...observer.takeRecords());
+		}
+
+		return this.#attributeCauses(this.#mergeRecords(records));
+	}
+
+	/**
+	 * Merge records, dropping any whose merged old and new values are equal for the observer of their target
+	 * (e.g. still within the same threshold band).
+	 * @param {Record[]} records
+	 * @returns {Record[]}
+	 */
+	#mergeRecords (records) {
+		return mergeRecords(records, ({ target, pseudo, property, oldValue, value }) => {
+			let observer = this.#getObserver(pseudo ? { element: target, pseudo } : target);
+			return observer?.equals(property, oldValue, value) ?? false;
+		});
+	}
+
+	/**
+	 * With the `attributeCauses` option, add the most likely cause to each record.
+	 * @param {Record[]} records
+	 * @returns {Record[]}
+	 */
+	#attributeCauses (records) {
+		if (!this.#causeTracker || records.length === 0) {
+			return records;
+		}
+
+		let causes = this.#causeTracker.takeCauses();
+
+		for (let record of records) {
+			let cause = CauseTracker.getCause(record.target, causes);
+
+			if (cause) {
+				record.cause = cause;
+			}
+		}
+
+		return records;
+	}
+
 	/**
 	 * Observe one or more targets for changes to one or more CSS properties.
 	 *
 	 * @overload
-	 * @param {Element | Element[]} targets
+	 * @param {Target | SelectorTarget | (Target | SelectorTarget)[]} targets
 	 * @param {string | string[]} properties
+	 * @param {ObserveOptions} [options]
 	 * @returns {void}
 	 *
 	 * @overload
 	 * @param {string | string[]} properties
-	 * @param {Element | Element[]} targets
+	 * @param {Target | SelectorTarget | (Target | SelectorTarget)[]} targets
+	 * @param {ObserveOptions} [options]
 	 * @returns {void}
 	 *
 	 * @overload
-	 * @param {...(string | Element | (string | Element)[]) } propertiesOrTargets
+	 * @param {...(string | Target | SelectorTarget | ObserveOptions | (string | Target | SelectorTarget)[]) } propertiesOrTargets
 	 * @returns {void}
 	 */
 	observe (...args) {
-		let { targets, properties } = resolveArgs(...args);
+		let { targets, properties, options } = resolveArgs(...args);
+		let immediate = options.immediate ?? this.options.immediate;
 
 		if (targets.length === 0) {
 			// Default to constructor-specified targets
@@ -76,18 +268,31 @@ export default class StyleObserver {
 		}
 
 		for (let target of targets) {
-			let observer = this.elementObservers.get(target);
+			if ("selector" in target) {
+				this.#observeSelector(target, properties, { immediate });
+				continue;
+			}
+
+			let observer = this.#getObserver(target);
 
 			if (!observer) {
-				observer = new ElementStyleObserver(
-					target,
-					records => this.changed(records),
-					this.options,
-				);
-				this.elementObservers.set(target, observer);
+				observer = new ElementStyleObserver(target, records => this.changed(records), {
+					...this.options,
+					immediate,
+				});
+
+				let observers = this.elementObservers.get(observer.target) ?? new Map();
+				observers.set(observer.pseudo, observer);
+				this.elementObservers.set(observer.target, observers);
+				this.#targets.add(observer.target);
 			}
 
-			observer.observe(properties);
+			observer.observe(properties, { immediate });
+
+			if (this.options.attributeCauses) {
+				this.#causeTracker ??= new CauseTracker();
+				this.#causeTracker.observe(observer.target);
+			}
 		}
 	}
 
@@ -95,17 +300,17 @@ export default class StyleObserver {
 	 * Stop observing one or more targets for changes to one or more CSS properties.
 	 *
 	 * @overload
-	 * @param {Element | Element[]} targets
+	 * @param {Target | SelectorTarget | (Target | SelectorTarget)[]} targets
 	 * @param {string | string[]} properties
 	 * @returns {void}
 	 *
 	 * @overload
 	 * @param {string | string[]} properties
-	 * @param {Element | Element[]} targets
+	 * @param {Target | SelectorTarget | (Target | SelectorTarget)[]} targets
 	 * @returns {void}
 	 *
 	 * @overload
-	 * @param {...(string | Element | (string | Element)[]) } propertiesOrTargets
+	 * @param {...(string | Target | SelectorTarget | (string | Target | SelectorTarget)[]) } propertiesOrTargets
 	 * @returns {void}
 	 */
 	unobserve (...args) {
@@ -126,45 +331,466 @@ export default class StyleObserver {
 		}
 
 		for (let target of targets) {
-			let observer = this.elementObservers.get(target);
+			if ("selector" in target) {
+				this.#unobserveSelector(target, properties);
+				continue;
+			}
+
+			let observer = this.#getObserver(target);
 
 			if (observer) {
 				observer.unobserve(properties);
+
+				if (observer.properties.size === 0) {
+					this.#removeObserver(observer);
+				}
 			}
 		}
 	}
 
+	/**
+	 * Observe all elements matching a selector, now and in the future.
+	 * @param {SelectorTarget} target
+	 * @param {string[]} properties
+	 * @param {ObserveOptions} [options]
+	 */
+	#observeSelector (target, properties, { immediate } = {}) {
+		if (properties.length === 0) {
+			// Default to constructor-specified properties
+			properties = this.options.properties;
+		}
+
+		let entry = this.#getSelectorTarget(target);
+
+		if (entry) {
+			// Already tracking matches, just observe the new properties on them
+			properties.forEach(property => entry.properties.add(property));
+			this.observe(getSelectorMatches(entry), properties, { immediate });
+			return;
+		}
+
+		entry = { target, properties: new Set(properties), immediate };
+		entry.observer = new SelectorObserver(({ added, removed }) => {
+			let properties = [...entry.properties];
+			let { pseudo } = entry.target;
+
+			if (removed.length > 0) {
+				this.unobserve(
+					removed.map(element => (pseudo ? { element, pseudo } : element)),
+					properties,
+				);
+			}
+
+			if (added.length > 0) {
+				this.observe(
+					added.map(element => (pseudo ? { element, pseudo } : element)),
+					properties,
+					{
+						immediate: entry.immediate,
+					},
+				);
+			}
+		});
+
+		this.#selectorTargets.push(entry);
+		entry.observer.observe(target);
+	}
+
+	/**
+	 * Stop observing elements matching a selector.
+	 * @param {SelectorTarget} target
+	 * @param {string[]} properties - Properties to stop observing. Defaults to all.
+	 */
+	#unobserveSelector (target, properties) {
+		let entry = this.#getSelectorTarget(target);
+
+		if (!entry) {
+			return;
+		}
+
+		if (properties.length === 0) {
+			properties = [...entry.properties];
+		}
+
+		properties.forEach(property => entry.properties.delete(property));
+		this.unobserve(getSelectorMatches(entry), properties);
+
+		if (entry.properties.size === 0) {
+			entry.observer.disconnect();
+			this.#selectorTargets.splice(this.#selectorTargets.indexOf(entry), 1);
+		}
+	}
+
+	/**
+	 * Find the entry for a selector target with the same selector, root, subtree, and pseudo-element.
+	 * @param {SelectorTarget} target
+	 */
+	#getSelectorTarget (target) {
+		let { selector, root = globalThis.document, subtree = true, pseudo = "" } = target;
+
+		return this.#selectorTargets.find(({ target }) => {
+			return (
+				target.selector === selector &&
+				(target.root ?? globalThis.document) === root &&
+				(target.subtree ?? true) === subtree &&
+				(target.pseudo ?? "") === pseudo
+			);
+		});
+	}
+
+	/**
+	 * Stop observing all targets and undo any changes made to them,
+	 * leaving the DOM exactly as it was before observing started.
+	 * The observer can be reused by calling `observe()` again.
+	 * @returns {void}
+	 */
+	disconnect () {
+		this.#queue = [];
+
+		for (let { observer } of this.#selectorTargets) {
+			observer.disconnect();
+		}
+
+		this.#selectorTargets = [];
+
+		for (let observer of this.#observers) {
+			observer.disconnect();
+		}
+
+		this.elementObservers = new WeakMap();
+		this.#targets.clear();
+		this.#causeTracker?.disconnect();
+	}
+
+	/**
+	 * Disconnect an element observer that no longer observes anything and forget about it,
+	 * so that neither it nor its target are kept alive.
+	 * @param {ElementStyleObserver} observer
+	 */
+	#removeObserver (observer) {
+		let { target, pseudo } = observer;
+		let observers = this.elementObservers.get(target);
+
+		observer.disconnect();
+		observers?.delete(pseudo);
+
+		if (observers?.size === 0) {
+			this.elementObservers.delete(target);
+			this.#targets.delete(target);
+			this.#causeTracker?.unobserve(target);
+		}
+	}
+
+	/**
+	 * Look for new animations affecting one or more targets.
+	 * Only needed for animations created via the Web Animations API after observing started,
+	 * and only if the `animations` option is set.
+	 * @param {Target | Target[]} targets
+	 * @returns {void}
+	 */
+	updateAnimations (targets) {
+		for (let target of toArray(targets)) {
+			this.#getObserver(target)?.updateAnimations();
+		}
+	}
+
+	/**
+	 * Look for elements that started or stopped matching any observed selectors.
+	 * Only needed for changes that involve no DOM mutations, e.g. selectors with `:hover` or `:checked`.
+	 * @returns {void}
+	 */
+	updateSelectors () {
+		for (let { observer } of this.#selectorTargets) {
+			observer.update();
+		}
+	}
+
 	/**
 	 * Update the transition for one or more targets.
-	 * @param {Element | Element[]} targets
+	 * @param {Target | Target[]} targets
 	 * @returns {void}
 	 */
 	updateTransition (targets) {
 		for (let target of toArray(targets)) {
-			let observer = this.elementObservers.get(target);
+			let observer = this.#getObserver(target);
 
 			if (observer) {
 				observer.updateTransition();
 			}
 		}
 	}
+
+	/**
+	 * Wait for a property of an element to reach a certain value.
+	 * Resolves right away if the current value already matches.
+	 * @param {Target} target - The element (or pseudo-element) to watch.
+	 * @param {string} property - The property to watch.
+	 * @param {string | ((value: string, record: Record) => boolean)} predicateOrValue - The value to wait for, or a function that checks values.
+	 * @param {object} [options]
+	 * @param {number} [options.timeout] - Reject with a `TimeoutError` if the value has not been reached after this many milliseconds.
+	 * @param {AbortSignal} [options.signal] - Reject with the signal’s reason when it is aborted.
+	 * @returns {Promise<Record>} The record with the matching value. Its `oldValue` is `undefined` if the value already matched.
+	 */
+	static waitFor (target, property, predicateOrValue, { timeout, signal } = {}) {
+		let matches =
+			typeof predicateOrValue === "function"
+				? predicateOrValue
+				: value => value === predicateOrValue;
+
+		return new Promise((resolve, reject) => {
+			if (signal?.aborted) {
+				reject(signal.reason);
+				return;
+			}
+
+			let timer;
+			let onAbort = () => done(() => reject(signal.reason));
+			let observer = new ElementStyleObserver(target, records => {
+				let record = records.find(
+					record => record.property === property && matches(record.value, record),
+				);
+
+				if (record) {
+					done(() => resolve(record));
+				}
+			});
+
+			function done (settle) {
+				clearTimeout(timer);
+				signal?.removeEventListener("abort", onAbort);
+				observer.disconnect();
+				settle();
+			}
+
+			if (timeout !== undefined) {
+				timer = setTimeout(() => {
+					done(() =>
+						reject(
+							new DOMException(
+								`${property} did not match within ${timeout}ms`,
+								"TimeoutError",
+							),
+						));
+				}, timeout);
+			}
+
+			signal?.addEventListener("abort", onAbort);
+
+			// Observe after setting everything up, since the initial value is reported synchronously
+			observer.observe(property, { immediate: true });
+		});
+	}
+
+	/**
+	 * Observe targets and dispatch a `stylechange` event on them whenever any of the properties change,
+	 * rather than calling a callback.
+	 * @param {Target | SelectorTarget | (Target | SelectorTarget)[]} targets
+	 * @param {string | string[] | PropertyMap} properties
+	 * @param {Omit<StyleObserverOptions, "targets" | "properties" | "dispatchEvents">} [options]
+	 * @returns {StyleObserver} The observer, e.g. to disconnect it later.
+	 */
+	static observeWithEvents (targets, properties, options = {}) {
+		return new this(() => {}, { ...options, targets, properties, dispatchEvents: true });
+	}
+
+	/**
+	 * Observe targets and consume changes as an async iterable, e.g. `for await (let records of StyleObserver.watch(element, "--state"))`.
+	 * Records that arrive while the consumer is busy are buffered and merged, so each iteration gets all changes since the previous one.
+	 * Observing stops when iteration stops (e.g. via `break`, or by calling `return()`).
+	 * @param {Target | SelectorTarget | (Target | SelectorTarget)[]} targets
+	 * @param {string | string[] | PropertyMap} properties
+	 * @param {Omit<StyleObserverOptions, "targets" | "properties">} [options]
+	 * @returns {AsyncIterableIterator<Record[]>}
+	 */
+	static watch (targets, properties, options = {}) {
+		/** @type {Record[]} */
+		let buffer = [];
+		let done = false;
+
+		/**
+		 * Pending `next()` calls, oldest first, since calls may overlap.
+		 * @type {((result: IteratorResult<Record[]>) => void)[]}
+		 */
+		let pending = [];
+
+		let observer = new this(
+			records => {
+				if (pending.length > 0) {
+					pending.shift()({ value: records, done: false });
+				}
+				else {
+					buffer.push(...records);
+				}
+			},
+			{ ...options, targets, properties },
+		);
+
+		return {
+			[Symbol.asyncIterator] () {
+				return this;
+			},
+
+			next () {
+				let records = observer.#mergeRecords(buffer);
+				buffer = [];
+
+				if (records.length > 0) {
+					return Promise.resolve({ value: records, done: false });
+				}
+
+				if (done) {
+					return Promise.resolve({ value: undefined, done: true });
+				}
+
+				return new Promise(resolve => pending.push(resolve));
+			},
+
+			return () {
+				done = true;
+				buffer = [];
+				observer.disconnect();
+
+				for (let resolve of pending.splice(0)) {
+					resolve({ value: undefined, done: true });
+				}
+
+				return Promise.resolve({ value: undefined, done: true });
+			},
+		};
+	}
 }
 
 /**
- * Resolve the targets and properties from the arguments.
- * @param {Element | Element[] | string | string[]} targets
- * @param {Element | Element[] | string | string[]} properties
- * @returns {{ targets: Element[], properties: string[] }}
+ * Resolve the targets, properties, and options from the arguments.
+ * @param {...(Target | Target[] | string | string[] | ObserveOptions)} args
+ * @returns {{ targets: Target[], properties: string[], options: ObserveOptions }}
  */
-function resolveArgs (targets, properties) {
-	let args = [...toArray(targets), ...toArray(properties)];
-	targets = [];
-	properties = [];
+function resolveArgs (...args) {
+	let targets = [];
+	let properties = [];
+	let options = {};
 
-	for (let arg of args) {
-		let arr = typeof arg === "string" || arg instanceof String ? properties : targets;
-		arr.push(arg);
+	for (let arg of args.flatMap(arg => toArray(arg))) {
+		if (typeof arg === "string" || arg instanceof String) {
+			properties.push(arg);
+		}
+		else if (isPlainObject(arg) && !("element" in arg) && !("selector" in arg)) {
+			Object.assign(options, arg);
+		}
+		else {
+			targets.push(arg);
+		}
+	}
+
+	return { targets, properties, options };
+}
+
+/**
+ * Wait for the next frame.
+ * Frames are paused while the page is hidden, so in that case (or if it gets hidden while waiting) only wait for the current task to end.
+ * @returns {Promise<void>}
+ */
+function nextFrame () {
+	let doc = globalThis.document;
+
+	if (!doc || doc.hidden) {
+		return new Promise(resolve => setTimeout(resolve));
 	}
 
-	return { targets, properties };
+	return new Promise(resolve => {
+		let done = () => {
+			doc.removeEventListener("visibilitychange", done);
+			resolve();
+		};
+
+		requestAnimationFrame(done);
+		doc.addEventListener("visibilitychange", done);
+	});
+}
+
+/**
+ * Get the targets currently matched by a selector target.
+ * @param {{ target: SelectorTarget, observer: SelectorObserver }} entry
+ * @returns {Target[]}
+ */
+function getSelectorMatches ({ target, observer }) {
+	let { pseudo } = target;
+	return [...observer.matches].map(element => (pseudo ? { element, pseudo } : element));
+}
+
+/**
+ * Check whether a value is a plain object (e.g. an options object) rather than an element.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject (value) {
+	if (value === null || typeof value !== "object") {
+		return false;
+	}
+
+	let proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Combine records that refer to the same target (and pseudo-element) and property, and sort them in document order.
+ * Merged records keep the earliest `oldValue` and the latest `value`.
+ * Merged records whose value ends up being the same as their old value are dropped,
+ * as are those whose values are considered equal by `equals` (if provided).
+ * @param {Record[]} records
+ * @param {(record: Record) => boolean} [equals] - Whether the old and new value of a merged record should be considered equal.
+ * @returns {Record[]}
+ */
+export function mergeRecords (records, equals) {
+	/** @type {Map<Element, Map<string, Record>>} */
+	let merged = new Map();
+
+	/** @type {Set<Record>} Records that were merged from more than one */
+	let combined = new Set();
+
+	for (let record of records) {
+		let targetRecords = merged.get(record.target);
+
+		if (!targetRecords) {
+			targetRecords = new Map();
+			merged.set(record.target, targetRecords);
+		}
+
+		let key = (record.pseudo ?? "") + " " + record.property;
+		let previous = targetRecords.get(key);
+
+		if (previous) {
+			record = { ...record, oldValue: previous.oldValue };
+			combined.add(record);
+
+			if ("oldTypedValue" in previous) {
+				record.oldTypedValue = previous.oldTypedValue;
+			}
+
+			if ("parsedOldValue" in previous) {
+				record.parsedOldValue = previous.parsedOldValue;
+			}
+		}
+
+		targetRecords.set(key, record);
+	}
+
+	let targets = [...merged.keys()].sort((a, b) => {
+		if (a === b) {
+			return 0;
+		}
+
+		return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+	});
+
+	return targets
+		.flatMap(target => [...merged.get(target).values()])
+		.filter(record => {
+			if (record.value === record.oldValue) {
+				return false;
+			}
+
+			// Records that were not merged have already been checked when they were created
+			return !(equals && combined.has(record) && equals(record));
+		});
 }
@@ -0,0 +1,108 @@
+import StyleObserver from "./style-observer.js";
+import { toArray } from "./util.js";
+
+/**
+ * @typedef { Readonly<{ [property: string]: string }> } StyleSnapshot
+ */
+
+/**
+ * @typedef { object } StyleStore
+ * @property { (callback: (snapshot: StyleSnapshot) => void) => () => void } subscribe - Call `callback` with the current values right away and whenever they change.
+ * Returns a function to unsubscribe.
+ * @property { () => StyleSnapshot } getSnapshot - Get the current values.
+ */
+
+/**
+ * Create an external store with the current values of some CSS properties of an element,
+ * compatible with both React’s `useSyncExternalStore()` and Svelte’s store contract.
+ * Snapshots are frozen objects, and only change identity when any of the values change.
+ * Properties are only observed while there are subscribers.
+ * @param {Element} element - The element to read values from.
+ * @param {string | string[]} properties - The properties to include.
+ * @returns {StyleStore}
+ */
+export default function createStyleStore (element, properties) {
+	properties = toArray(properties);
+
+	/** @type {StyleSnapshot} */
+	let snapshot;
+
+	/** @type {StyleObserver | undefined} */
+	let observer;
+
+	/** @type {Set<{ callback: (snapshot: StyleSnapshot) => void }>} */
+	let subscribers = new Set();
+
+	/**
+	 * Replace the snapshot if any of the values changed.
+	 * @param {{ [property: string]: string }} values
+	 * @returns {boolean} Whether the snapshot changed.
+	 */
+	function update (values) {
+		if (snapshot && properties.every(property => snapshot[property] === values[property])) {
+			return false;
+		}
+
+		snapshot = Object.freeze({ ...values });
+		return true;
+	}
+
+	/**
+	 * Read the current values directly.
+	 * @returns {{ [property: string]: string }}
+	 */
+	function read () {
+		let cs = getComputedStyle(element);
+		return Object.fromEntries(
+			properties.map(property => [property, cs.getPropertyValue(property)]),
+		);
+	}
+
+	function getSnapshot () {
+		if (!observer) {
+			// Not observing, so values could have changed without us knowing
+			update(read());
+		}
+
+		return snapshot;
+	}
+
+	function subscribe (callback) {
+		if (!observer) {
+			observer = new StyleObserver(
+				records => {
+					let values = { ...snapshot };
+
+					for (let { property, value } of records) {
+						values[property] = value;
+					}
+
+					if (update(values)) {
+						for (let subscriber of subscribers) {
+							subscriber.callback(snapshot);
+						}
+					}
+				},
+				{ targets: element, properties },
+			);
+
+			update(read());
+		}
+
+		// The same callback may subscribe more than once, and each subscription needs to be undone separately
+		let subscriber = { callback };
+		subscribers.add(subscriber);
+		callback(snapshot);
+
+		return () => {
+			subscribers.delete(subscriber);
+
+			if (subscribers.size === 0 && observer) {
+				observer.disconnect();
+				observer = undefined;
+			}
+		};
+	}
+
+	return { subscribe, getSnapshot };
+}
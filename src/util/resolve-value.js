@@ -0,0 +1,131 @@
+import gentleRegisterProperty from "./gentle-register-property.js";
+
+/**
+ * The name of the elements hosting the probes.
+ */
+const PROBE_HOST = "style-observer-probe";
+
+/**
+ * Probe elements per document.
+ * They live in a closed shadow root, so that setting values on them does not trigger any mutation observers
+ * (including our own, which could then end up in an infinite loop).
+ * Their hosts are only in the document while resolving values.
+ * @type {WeakMap<Document, HTMLElement>}
+ */
+const probes = new WeakMap();
+
+/**
+ * Resolved values per document, by syntax and value, so that repeated values never touch the DOM.
+ * @type {WeakMap<Document, Map<string, string>>}
+ */
+const caches = new WeakMap();
+
+/**
+ * The maximum number of resolved values to remember per document.
+ * Once reached, the least recently resolved values are forgotten first.
+ */
+const MAX_CACHE_SIZE = 500;
+
+/**
+ * Resolve a value to its computed form for a given syntax,
+ * e.g. `white` and `#fff` both resolve to `rgb(255, 255, 255)` for `<color>`.
+ * The value is resolved on a probe element, via a custom property registered with that syntax.
+ * Relative values (e.g. `em`) are resolved as they would be in a child of the root element (`<html>`),
+ * and invalid values resolve to the initial value of the syntax.
+ * The probe's host is only added to the document while resolving, and removed right after.
+ * Results are cached, so relative values are not resolved again if e.g. the root font size changes.
+ * @param {string} value - The value to resolve.
+ * @param {string} syntax - The syntax of the value, as in `@property` (e.g. `"<color>"` or `"<length>+"`).
+ * @param {Document} [root=globalThis.document] - The document to resolve the value in.
+ * @returns {string} The resolved value.
+ */
+export default function resolveValue (value, syntax, root = globalThis.document) {
+	let cache = caches.get(root);
+
+	if (!cache) {
+		cache = new Map();
+		caches.set(root, cache);
+	}
+
+	let key = syntax + "|" + value;
+	let resolved = cache.get(key);
+
+	if (resolved === undefined) {
+		resolved = resolve(value, syntax, root);
+
+		if (cache.size >= MAX_CACHE_SIZE) {
+			cache.delete(cache.keys().next().value);
+		}
+	}
+	else {
+		// Move to the end, so that it is forgotten last
+		cache.delete(key);
+	}
+
+	cache.set(key, resolved);
+	return resolved;
+}
+
+/**
+ * Resolve a value on the probe element, without caching.
+ * @param {string} value
+ * @param {string} syntax
+ * @param {Document} root
+ * @returns {string}
+ */
+function resolve (value, syntax, root) {
+	let property = getProbeProperty(syntax);
+	gentleRegisterProperty(property, { syntax, inherits: false }, root);
+
+	let probe = getProbe(root);
+	let host = /** @type {ShadowRoot} */ (probe.getRootNode()).host;
+	root.documentElement.append(host);
+
+	try {
+		probe.style.setProperty(property, value);
+		return getComputedStyle(probe).getPropertyValue(property);
+	}
+	finally {
+		probe.style.removeProperty(property);
+		host.remove();
+	}
+}
+
+/**
+ * Check whether a mutation only consists of adding or removing probe hosts,
+ * so that mutation observers can ignore it.
+ * @param {MutationRecord} mutation
+ * @returns {boolean}
+ */
+export function isProbeMutation (mutation) {
+	let nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+	return nodes.length > 0 && nodes.every(node => node.nodeName.toLowerCase() === PROBE_HOST);
+}
+
+/**
+ * Get the name of the custom property used to resolve values of a given syntax.
+ * @param {string} syntax
+ * @returns {string}
+ */
+function getProbeProperty (syntax) {
+	let id = syntax.replace(/[^a-z0-9-]/gi, char => "_" + char.charCodeAt(0).toString(16));
+	return "--style-observer-probe-" + id;
+}
+
+/**
+ * Get the probe element for a document, creating it if needed.
+ * @param {Document} root
+ * @returns {HTMLElement}
+ */
+function getProbe (root) {
+	let probe = probes.get(root);
+
+	if (!probe) {
+		let host = root.createElement(PROBE_HOST);
+		host.hidden = true;
+		probe = host.attachShadow({ mode: "closed" }).appendChild(root.createElement("div"));
+		probes.set(root, probe);
+	}
+
+	return probe;
+}
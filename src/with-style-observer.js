@@ -0,0 +1,136 @@
+import ElementStyleObserver from "./element-style-observer.js";
+
+/**
+ * Add CSS property observation to a custom element class, similarly to `observedAttributes`/`attributeChangedCallback`:
+ * - List the properties to observe in a static `observedStyles` property.
+ * - Implement `styleChangedCallback(property, oldValue, value)` to handle changes.
+ *
+ * Properties are observed while the element is connected.
+ * The callback is also called with the initial values on connection,
+ * except for values that have not changed since they were last reported (e.g. when the element is just moved).
+ * If the element has a shadow root (open, closed via `attachShadow()`, or declarative and closed, found via `attachInternals()`),
+ * the observer uses an adopted `:host {}` style sheet, so the element’s `style` attribute is never touched.
+ * Shadow roots attached after the element is connected are picked up as well.
+ *
+ * @template {new (...args: any[]) => HTMLElement} T
+ * @param {T} [BaseClass=HTMLElement] - The class to extend.
+ * @returns {T}
+ */
+export default function withStyleObserver (BaseClass = HTMLElement) {
+	return class extends BaseClass {
+		/**
+		 * @type {ElementStyleObserver | undefined}
+		 */
+		#styleObserver;
+
+		/**
+		 * The last values reported to `styleChangedCallback()`, by property.
+		 * @type {Map<string, string>}
+		 */
+		#styleValues = new Map();
+
+		/**
+		 * The element’s shadow root, even if closed.
+		 * @type {ShadowRoot | undefined}
+		 */
+		#shadowRoot;
+
+		/**
+		 * The element’s internals, so that the ones we get (to find declarative closed shadow roots)
+		 * can still be returned to the element’s own `attachInternals()` call.
+		 * @type {ElementInternals | undefined}
+		 */
+		#internals;
+
+		/**
+		 * @returns {ElementInternals}
+		 */
+		attachInternals () {
+			this.#internals ??= super.attachInternals();
+			return this.#internals;
+		}
+
+		/**
+		 * @param {ShadowRootInit} init
+		 * @returns {ShadowRoot}
+		 */
+		attachShadow (init) {
+			let shadowRoot = super.attachShadow(init);
+			this.#shadowRoot = shadowRoot;
+
+			if (this.isConnected && this.#styleObserver) {
+				// Start over, to move what the observer set on the style attribute to the shadow root
+				this.#styleObserver.disconnect();
+				this.#observeStyles();
+			}
+
+			return shadowRoot;
+		}
+
+		connectedCallback () {
+			super.connectedCallback?.();
+			this.#observeStyles();
+		}
+
+		disconnectedCallback () {
+			super.disconnectedCallback?.();
+			this.#styleObserver?.disconnect();
+		}
+
+		/**
+		 * Start observing the properties in `observedStyles`.
+		 */
+		#observeStyles () {
+			let properties = this.constructor.observedStyles ?? [];
+
+			if (properties.length === 0) {
+				return;
+			}
+
+			this.#styleObserver ??= new ElementStyleObserver(this, records =>
+				this.#styleChanged(records));
+			this.#styleObserver.shadowRoot = this.#getShadowRoot();
+			this.#styleObserver.observe(properties, { immediate: true });
+		}
+
+		/**
+		 * Get the element’s shadow root, including closed ones.
+		 * @returns {ShadowRoot | undefined}
+		 */
+		#getShadowRoot () {
+			if (this.#shadowRoot || this.shadowRoot) {
+				return this.#shadowRoot ?? this.shadowRoot;
+			}
+
+			if (!this.#internals) {
+				// A declarative closed shadow root can only be found via the element’s internals
+				try {
+					this.attachInternals();
+				}
+				catch (e) {
+					// Internals are disabled for this element, or not supported
+					return undefined;
+				}
+			}
+
+			return this.#internals.shadowRoot ?? undefined;
+		}
+
+		/**
+		 * Call `styleChangedCallback()` for any values that have changed since they were last reported.
+		 * @param {import("./element-style-observer.js").Record[]} records
+		 */
+		#styleChanged (records) {
+			for (let { property, value } of records) {
+				let oldValue = this.#styleValues.get(property);
+
+				if (this.#styleValues.has(property) && value === oldValue) {
+					continue;
+				}
+
+				this.#styleValues.set(property, value);
+				this.styleChangedCallback?.(property, oldValue, value);
+			}
+		}
+	};
+}
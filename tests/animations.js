@@ -0,0 +1,128 @@
+import StyleObserver from "../index.js";
+import adoptCSS from "../src/util/adopt-css.js";
+import { wait } from "../src/util.js";
+import { withElement } from "./util/fixtures.js";
+
+adoptCSS(`
+	@keyframes style-observer-test {
+		to {
+			--animation-test: bar;
+		}
+	}
+`);
+
+export default {
+	name: "Animations",
+
+	...withElement(),
+
+	tests: [
+		{
+			name: "CSS animations",
+
+			run (animations) {
+				let { element } = this.data;
+				let values = [];
+				let observer = new StyleObserver(records => values.push(...records.map(r => r.value)), {
+					target: element,
+					properties: "--animation-test",
+					animations,
+				});
+
+				element.style.animation = "style-observer-test 100ms forwards";
+
+				return wait(400)
+					.then(() => values)
+					.finally(() => observer.disconnect());
+			},
+
+			tests: [
+				{
+					name: "Not detected by default",
+					arg: false,
+					expect: [],
+				},
+				{
+					name: "Detected with the animations option",
+					arg: true,
+					expect: ["bar"],
+				},
+			],
+		},
+		{
+			name: "CSS animations on elements observed before being added",
+			run () {
+				let element = document.createElement("div");
+				let values = [];
+				let observer = new StyleObserver(records => values.push(...records.map(r => r.value)), {
+					target: element,
+					properties: "--animation-test",
+					animations: true,
+				});
+
+				this.data.element.append(element);
+				element.style.animation = "style-observer-test 100ms forwards";
+
+				return wait(400)
+					.then(() => values)
+					.finally(() => observer.disconnect());
+			},
+			expect: ["bar"],
+		},
+		{
+			name: "CSS animations on ancestors outside the shadow root",
+			run () {
+				let { element } = this.data;
+				let child = element.attachShadow({ mode: "open" }).appendChild(document.createElement("div"));
+				let values = [];
+				let observer = new StyleObserver(records => values.push(...records.map(r => r.value)), {
+					target: child,
+					properties: "--animation-test",
+					animations: true,
+				});
+
+				element.style.animation = "style-observer-test 100ms forwards";
+
+				return wait(400)
+					.then(() => values)
+					.finally(() => observer.disconnect());
+			},
+			expect: ["bar"],
+		},
+		{
+			name: "Web Animations API",
+
+			run (animations) {
+				let { element } = this.data;
+				let count = 0;
+				let observer = new StyleObserver(records => (count += records.length), {
+					target: element,
+					properties: "opacity",
+					animations,
+				});
+
+				element.animate([{ opacity: 1 }, { opacity: 0.5, offset: 0.5 }, { opacity: 0 }], 300);
+				observer.updateAnimations(element);
+
+				return wait(500)
+					.then(() => count)
+					.finally(() => observer.disconnect());
+			},
+
+			tests: [
+				{
+					name: "Every frame",
+					arg: true,
+					check: actual => actual > 3,
+					expect: "More than 3 records",
+				},
+				{
+					name: "Keyframe boundaries only",
+					arg: "keyframes",
+					check: actual => actual > 0 && actual <= 3,
+					expect: "1 – 3 records",
+				},
+			],
+		},
+	],
+};
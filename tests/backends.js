@@ -0,0 +1,88 @@
+import StyleObserver, { Backend, PollingBackend } from "../index.js";
+import { withElement, settle } from "./util/fixtures.js";
+
+export default {
+	name: "Detection backends",
+
+	...withElement(),
+
+	tests: [
+		{
+			name: "Polling",
+
+			run (property, value) {
+				let { element } = this.data;
+				let observer;
+
+				return settle(resolve => {
+					observer = new StyleObserver(records => resolve(records[0].value), {
+						target: element,
+						properties: property,
+						backends: [PollingBackend],
+					});
+
+					element.style.setProperty(property, value);
+				}).finally(() => observer.disconnect());
+			},
+
+			tests: [
+				{
+					name: "Built-in property",
+					args: ["opacity", "0.5"],
+					expect: "0.5",
+				},
+				{
+					name: "Custom property",
+					args: ["--foo", "bar"],
+					expect: "bar",
+				},
+				{
+					name: "No transitions are added for polled properties",
+					run () {
+						let { element } = this.data;
+						let observer = new StyleObserver(() => {}, {
+							target: element,
+							properties: "opacity",
+							backends: [PollingBackend],
+						});
+
+						let ret = element.style.getPropertyValue("--style-observer-transition");
+						observer.disconnect();
+						return ret;
+					},
+					expect: "",
+				},
+			],
+		},
+		{
+			name: "Custom backend",
+
+			run () {
+				let { element } = this.data;
+				let observed = [];
+
+				class TestBackend extends Backend {
+					static supports (property) {
+						return property.startsWith("--test-");
+					}
+
+					observe (properties) {
+						super.observe(properties);
+						observed.push(...properties);
+					}
+				}
+
+				let observer = new StyleObserver(() => {}, {
+					target: element,
+					properties: ["--test-foo", "opacity", "--test-bar"],
+					backends: [TestBackend, PollingBackend],
+				});
+				observer.disconnect();
+
+				return observed;
+			},
+
+			expect: ["--test-foo", "--test-bar"],
+		},
+	],
+};
@@ -0,0 +1,99 @@
+import StyleObserver, { mergeRecords } from "../src/style-observer.js";
+import { wait } from "../src/util.js";
+
+export default {
+	name: "Batching records",
+	tests: [
+		{
+			name: "Single callback for multiple targets",
+
+			beforeEach () {
+				this.data.container = document.createElement("div");
+				this.data.children = Array.from({ length: 5 }, (_, i) => {
+					let child = Object.assign(document.createElement("div"), { id: "child-" + i });
+					this.data.container.append(child);
+					return child;
+				});
+
+				document.body.append(this.data.container);
+			},
+
+			run () {
+				let { container, children } = this.data;
+				let calls = [];
+
+				// Observe in reverse to make sure records are in document order anyway
+				let observer = new StyleObserver(records => calls.push(records), {
+					targets: children.toReversed(),
+					properties: "color",
+				});
+
+				container.style.color = "red";
+
+				return wait(500)
+					.then(() => calls.map(records => records.map(record => record.target.id)))
+					.finally(() => observer.disconnect());
+			},
+
+			afterEach () {
+				this.data.container.remove();
+			},
+
+			expect: [["child-0", "child-1", "child-2", "child-3", "child-4"]],
+		},
+		{
+			name: "mergeRecords()",
+
+			run (records) {
+				let target = document.body;
+				records = records.map(([property, oldValue, value]) => ({ target, property, oldValue, value }));
+
+				return mergeRecords(records).map(({ property, oldValue, value }) => [property, oldValue, value]);
+			},
+
+			tests: [
+				{
+					name: "Keep the earliest old value and the latest value",
+					arg: [
+						["color", "red", "green"],
+						["color", "green", "blue"],
+					],
+					expect: [["color", "red", "blue"]],
+				},
+				{
+					name: "Different properties are not merged",
+					arg: [
+						["color", "red", "green"],
+						["opacity", "1", "0.5"],
+					],
+					expect: [
+						["color", "red", "green"],
+						["opacity", "1", "0.5"],
+					],
+				},
+				{
+					name: "Drop changes that cancel out",
+					arg: [
+						["color", "red", "green"],
+						["color", "green", "red"],
+					],
+					expect: [],
+				},
+				{
+					name: "Drop merged changes that are considered equal",
+					run () {
+						let target = document.body;
+						let records = [
+							{ target, property: "width", oldValue: "10px", value: "20px" },
+							{ target, property: "width", oldValue: "20px", value: "10.001px" },
+						];
+						let equals = ({ oldValue, value }) => Math.abs(parseFloat(oldValue) - parseFloat(value)) < 0.01;
+
+						return mergeRecords(records, equals);
+					},
+					expect: [],
+				},
+			],
+		},
+	],
+};
@@ -0,0 +1,111 @@
+import StyleObserver from "../index.js";
+import { settle } from "./util/fixtures.js";
+
+export default {
+	name: "Causes",
+
+	beforeEach () {
+		this.data.style = document.createElement("style");
+		this.data.style.textContent = `
+			.causes-parent { color: rgb(0, 0, 255); }
+			.causes-red, [data-causes-red] { color: rgb(255, 0, 0); }
+		`;
+		this.data.parent = document.createElement("div");
+		this.data.parent.className = "causes-parent";
+		this.data.element = document.createElement("div");
+		this.data.parent.append(this.data.element);
+		document.head.append(this.data.style);
+		document.body.append(this.data.parent);
+	},
+
+	afterEach () {
+		this.data.parent.remove();
+		this.data.style.remove();
+		this.data.sheet?.remove();
+	},
+
+	run (change, options = { attributeCauses: true }) {
+		let { element, parent } = this.data;
+		let observer;
+
+		return settle(resolve => {
+			observer = new StyleObserver(records => resolve(records[0].cause), {
+				target: element,
+				properties: "color",
+				...options,
+			});
+			change(this.data, observer);
+		}, "Didn't fire")
+			.then(cause => {
+				if (typeof cause !== "object") {
+					return cause;
+				}
+
+				let { type, target, attributeName } = cause;
+				target =
+					target === element
+						? "element"
+						: target === parent
+							? "parent"
+							: target?.nodeName;
+				return { type, target, attributeName };
+			})
+			.finally(() => observer.disconnect());
+	},
+
+	tests: [
+		{
+			name: "class",
+			arg: ({ element }) => element.classList.add("causes-red"),
+			expect: { type: "class", target: "element", attributeName: "class" },
+		},
+		{
+			name: "style",
+			arg: ({ element }) => (element.style.color = "rgb(255, 0, 0)"),
+			expect: { type: "style", target: "element", attributeName: "style" },
+		},
+		{
+			name: "Other attribute",
+			arg: ({ element }) => element.setAttribute("data-causes-red", ""),
+			expect: { type: "attribute", target: "element", attributeName: "data-causes-red" },
+		},
+		{
+			name: "Inheritance",
+			arg: ({ parent }) => (parent.style.color = "rgb(255, 0, 0)"),
+			expect: { type: "inheritance", target: "parent", attributeName: "style" },
+		},
+		{
+			name: "Style sheet",
+			arg (data) {
+				data.sheet = document.createElement("style");
+				data.sheet.textContent = `.causes-parent > div { color: rgb(255, 0, 0); }`;
+				document.head.append(data.sheet);
+			},
+			expect: { type: "stylesheet", target: "STYLE", attributeName: undefined },
+		},
+		{
+			name: "Own style changes are not causes",
+			arg (data, observer) {
+				// Observing more properties updates the transition in the style attribute
+				observer.observe(data.element, "background-color");
+				data.sheet = document.createElement("style");
+				data.sheet.textContent = `.causes-parent > div { color: rgb(255, 0, 0); }`;
+				document.head.append(data.sheet);
+			},
+			expect: { type: "stylesheet", target: "STYLE", attributeName: undefined },
+		},
+		{
+			name: "Target changes take precedence over ancestor changes",
+			arg ({ element, parent }) {
+				parent.style.color = "rgb(0, 255, 0)";
+				element.classList.add("causes-red");
+			},
+			expect: { type: "class", target: "element", attributeName: "class" },
+		},
+		{
+			name: "No causes by default",
+			args: [({ element }) => element.classList.add("causes-red"), {}],
+			expect: undefined,
+		},
+	],
+};
@@ -0,0 +1,105 @@
+import { StyleObserverController } from "../index.js";
+import { wait } from "../src/util.js";
+
+/**
+ * A minimal reactive controller host.
+ */
+function createHost () {
+	let host = document.createElement("div");
+	host.controllers = [];
+	host.updates = 0;
+	host.addController = controller => host.controllers.push(controller);
+	host.requestUpdate = () => host.updates++;
+	host.connect = () => host.controllers.forEach(controller => controller.hostConnected());
+	host.disconnect = () => host.controllers.forEach(controller => controller.hostDisconnected());
+	return host;
+}
+
+export default {
+	name: "StyleObserverController",
+
+	beforeEach () {
+		this.data.host = createHost();
+		this.data.host.style.setProperty("--controller-test", "foo");
+		document.body.append(this.data.host);
+	},
+
+	afterEach () {
+		this.data.host.disconnect();
+		this.data.host.remove();
+	},
+
+	tests: [
+		{
+			name: "Initial values",
+			run () {
+				let { host } = this.data;
+				let controller = new StyleObserverController(host, { properties: "--controller-test" });
+				host.connect();
+
+				return controller.values;
+			},
+			expect: { "--controller-test": "foo" },
+		},
+		{
+			name: "Values are updated and the host is asked to update",
+			async run () {
+				let { host } = this.data;
+				let controller = new StyleObserverController(host, { properties: "--controller-test" });
+				host.connect();
+
+				host.style.setProperty("--controller-test", "bar");
+				await wait(200);
+
+				return [controller.values, host.updates];
+			},
+			expect: [{ "--controller-test": "bar" }, 1],
+		},
+		{
+			name: "Other targets",
+			async run () {
+				let { host } = this.data;
+				let target = host.appendChild(document.createElement("div"));
+				let controller = new StyleObserverController(host, { properties: "opacity", target: () => target });
+				host.connect();
+
+				target.style.opacity = "0.5";
+				await wait(200);
+
+				return controller.values;
+			},
+			expect: { opacity: "0.5" },
+		},
+		{
+			name: "Other controllers keep observing when one disconnects",
+			async run () {
+				let { host } = this.data;
+				let other = createHost();
+				new StyleObserverController(host, { properties: "--controller-test" });
+				let controller = new StyleObserverController(other, { properties: "--controller-test", target: host });
+				host.connect();
+				other.connect();
+
+				host.disconnect();
+				host.style.setProperty("--controller-test", "bar");
+				await wait(200);
+				other.disconnect();
+
+				return controller.values;
+			},
+			expect: { "--controller-test": "bar" },
+		},
+		{
+			name: "Disconnecting leaves the target as it was",
+			run () {
+				let { host } = this.data;
+				new StyleObserverController(host, { properties: "opacity" });
+				host.connect();
+				host.disconnect();
+
+				return host.getAttribute("style");
+			},
+			expect: "--controller-test: foo;",
+		},
+	],
+};
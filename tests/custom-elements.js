@@ -0,0 +1,157 @@
+import { withStyleObserver } from "../index.js";
+import adoptCSS from "../src/util/adopt-css.js";
+import { wait } from "../src/util.js";
+
+adoptCSS(`
+	style-observer-mixin-test {
+		--mixin-test: off;
+	}
+
+	style-observer-mixin-test.on {
+		--mixin-test: on;
+	}
+`);
+
+class MixinTest extends withStyleObserver(HTMLElement) {
+	static observedStyles = ["--mixin-test"];
+
+	calls = [];
+
+	constructor () {
+		super();
+		this.attachShadow({ mode: "open" });
+	}
+
+	styleChangedCallback (property, oldValue, value) {
+		this.calls.push(`${ property }: ${ oldValue } → ${ value }`);
+	}
+}
+
+customElements.define("style-observer-mixin-test", MixinTest);
+
+class ClosedMixinTest extends withStyleObserver(HTMLElement) {
+	static observedStyles = ["--mixin-test"];
+
+	constructor () {
+		super();
+		this.attachShadow({ mode: "closed" });
+	}
+}
+
+customElements.define("style-observer-mixin-closed-test", ClosedMixinTest);
+
+class LateMixinTest extends withStyleObserver(HTMLElement) {
+	static observedStyles = ["--mixin-test"];
+
+	connectedCallback () {
+		super.connectedCallback();
+		this.attachShadow({ mode: "open" });
+	}
+}
+
+customElements.define("style-observer-mixin-late-test", LateMixinTest);
+
+class DeclarativeMixinTest extends withStyleObserver(HTMLElement) {
+	static observedStyles = ["--mixin-test"];
+}
+
+customElements.define("style-observer-mixin-declarative-test", DeclarativeMixinTest);
+
+export default {
+	name: "Custom elements",
+
+	beforeEach () {
+		this.data.element = document.createElement("style-observer-mixin-test");
+	},
+
+	afterEach () {
+		this.data.element.remove();
+	},
+
+	tests: [
+		{
+			name: "Initial values and changes",
+			async run () {
+				let { element } = this.data;
+				document.body.append(element);
+				element.classList.add("on");
+				await wait(200);
+
+				return element.calls;
+			},
+			expect: ["--mixin-test: undefined → off", "--mixin-test: off → on"],
+		},
+		{
+			name: "Reconnecting without changes",
+			async run () {
+				let { element } = this.data;
+				document.body.append(element);
+				element.remove();
+				document.body.append(element);
+				await wait(200);
+
+				return element.calls;
+			},
+			expect: ["--mixin-test: undefined → off"],
+		},
+		{
+			name: "Changes while disconnected",
+			async run () {
+				let { element } = this.data;
+				document.body.append(element);
+				element.remove();
+				element.classList.add("on");
+				document.body.append(element);
+				await wait(200);
+
+				return element.calls;
+			},
+			expect: ["--mixin-test: undefined → off", "--mixin-test: off → on"],
+		},
+		{
+			name: "The style attribute is not touched",
+			run () {
+				let { element } = this.data;
+				document.body.append(element);
+
+				return element.getAttribute("style");
+			},
+			expect: null,
+		},
+		{
+			name: "The style attribute is not touched with a closed shadow root",
+			run () {
+				let element = (this.data.element = document.createElement("style-observer-mixin-closed-test"));
+				document.body.append(element);
+
+				return element.getAttribute("style");
+			},
+			expect: null,
+		},
+		{
+			name: "The style attribute is not touched with a declarative closed shadow root",
+			skip: !Element.prototype.setHTMLUnsafe,
+			run () {
+				let container = document.createElement("div");
+				container.setHTMLUnsafe(`<style-observer-mixin-declarative-test>
+					<template shadowrootmode="closed"></template>
+				</style-observer-mixin-declarative-test>`);
+				let element = (this.data.element = container.firstElementChild);
+				document.body.append(element);
+
+				return element.getAttribute("style");
+			},
+			expect: null,
+		},
+		{
+			name: "The style attribute is restored when a shadow root is attached later",
+			run () {
+				let element = (this.data.element = document.createElement("style-observer-mixin-late-test"));
+				document.body.append(element);
+
+				return element.getAttribute("style");
+			},
+			expect: null,
+		},
+	],
+};
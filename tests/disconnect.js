@@ -0,0 +1,114 @@
+import StyleObserver from "../index.js";
+import { withElement, settle } from "./util/fixtures.js";
+
+export default {
+	name: "Disconnecting the observer",
+
+	...withElement({
+		setup (element) {
+			if (this.data.style !== undefined) {
+				element.setAttribute("style", this.data.style);
+			}
+		},
+	}),
+
+	tests: [
+		{
+			name: "Restore the original inline styles",
+			run () {
+				let { element } = this.data;
+				let observer = new StyleObserver(() => {}, { target: element, properties: ["opacity", "--foo"] });
+				observer.disconnect();
+
+				return element.getAttribute("style");
+			},
+			tests: [
+				{
+					name: "No style attribute",
+					data: {},
+					expect: null,
+				},
+				{
+					name: "Inline transition",
+					data: {
+						style: "transition: opacity 1s;",
+					},
+					expect: "transition: opacity 1s;",
+				},
+				{
+					name: "Other inline styles",
+					data: {
+						style: "color: red;",
+					},
+					expect: "color: red;",
+				},
+			],
+		},
+		{
+			name: "Remove the adopted shadow style sheet",
+			skip: !document.adoptedStyleSheets,
+			run () {
+				let { element } = this.data;
+				element.attachShadow({ mode: "open" });
+				let sheetsBefore = element.shadowRoot.adoptedStyleSheets.length;
+
+				let observer = new StyleObserver(() => {}, { target: element, properties: "--foo" });
+				observer.disconnect();
+
+				return element.shadowRoot.adoptedStyleSheets.length - sheetsBefore;
+			},
+			data: {},
+			expect: 0,
+		},
+		{
+			name: "Forget elements once all their properties are unobserved",
+			run () {
+				let { element } = this.data;
+				let observer = new StyleObserver(() => {}, { target: element, properties: ["opacity", "--foo"] });
+				observer.unobserve(element, ["opacity", "--foo"]);
+
+				return [observer.elementObservers.has(element), element.getAttribute("style")];
+			},
+			data: {},
+			expect: [false, null],
+		},
+		{
+			name: "Keep other observers working",
+			run () {
+				let { element } = this.data;
+				let observer1 = new StyleObserver(() => {}, { target: element, properties: "opacity" });
+				let observer2;
+
+				return settle(resolve => {
+					observer2 = new StyleObserver(records => resolve(records[0].value), {
+						target: element,
+						properties: "opacity",
+					});
+
+					observer1.disconnect();
+					element.style.opacity = "0.5";
+				}).finally(() => observer2.disconnect());
+			},
+			data: {},
+			expect: "0.5",
+		},
+		{
+			name: "Don't fire after disconnecting",
+			run () {
+				let { element } = this.data;
+
+				return settle(resolve => {
+					let observer = new StyleObserver(() => resolve("Fired"), {
+						target: element,
+						properties: "opacity",
+					});
+
+					observer.disconnect();
+					element.style.opacity = "0.5";
+				}, "Didn't fire");
+			},
+			data: {},
+			expect: "Didn't fire",
+		},
+	],
+};
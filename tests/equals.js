@@ -0,0 +1,102 @@
+import StyleObserver, { numericTolerance, colorDeltaE } from "../index.js";
+import { wait } from "../src/util.js";
+import { withElement } from "./util/fixtures.js";
+
+export default {
+	name: "Custom equality",
+
+	tests: [
+		{
+			name: "The equals option",
+
+			...withElement({ setup: element => (element.style.width = "100px") }),
+
+			run (options, values) {
+				let { element } = this.data;
+				let calls = [];
+				let observer = new StyleObserver(records => calls.push(records.map(record => record.value)), {
+					target: element,
+					...options,
+				});
+
+				return values
+					.reduce((promise, value) => promise.then(() => {
+						element.style.width = value;
+						return wait(100);
+					}), Promise.resolve())
+					.then(() => calls)
+					.finally(() => observer.disconnect());
+			},
+
+			tests: [
+				{
+					name: "Global",
+					args: [{ properties: "width", equals: numericTolerance(1) }, ["100.5px", "101.5px"]],
+					expect: [["101.5px"]],
+				},
+				{
+					name: "Per property",
+					args: [{ properties: { width: { equals: numericTolerance(1) } } }, ["100.5px", "101.5px"]],
+					expect: [["101.5px"]],
+				},
+				{
+					name: "No comparator",
+					args: [{ properties: "width" }, ["100.5px", "101.5px"]],
+					expect: [["100.5px"], ["101.5px"]],
+				},
+			],
+		},
+		{
+			name: "numericTolerance()",
+			run: (a, b) => numericTolerance(0.01)("width", a, b),
+			tests: [
+				{
+					args: ["10px", "10.001px"],
+					expect: true,
+				},
+				{
+					args: ["10px", "10.1px"],
+					expect: false,
+				},
+				{
+					args: ["10px", "10em"],
+					expect: false,
+				},
+				{
+					args: ["1px 2px", "1px"],
+					expect: false,
+				},
+			],
+		},
+		{
+			name: "colorDeltaE()",
+			run: (a, b) => colorDeltaE(2)("color", a, b),
+			tests: [
+				{
+					args: ["rgb(0, 0, 0)", "rgba(0, 0, 0, 1)"],
+					expect: true,
+				},
+				{
+					args: ["rgb(255, 0, 0)", "color(srgb 1 0 0)"],
+					expect: true,
+				},
+				{
+					args: ["rgb(200, 100, 50)", "rgb(201, 100, 50)"],
+					expect: true,
+				},
+				{
+					args: ["rgb(200, 100, 50)", "rgb(220, 100, 50)"],
+					expect: false,
+				},
+				{
+					args: ["rgb(0, 0, 0)", "rgba(0, 0, 0, 0.5)"],
+					expect: false,
+				},
+				{
+					args: ["currentcolor", "currentcolor"],
+					expect: true,
+				},
+			],
+		},
+	],
+};
@@ -0,0 +1,59 @@
+import StyleObserver, { StyleChangeEvent } from "../index.js";
+import { settle } from "./util/fixtures.js";
+
+export default {
+	name: "Events",
+
+	beforeEach () {
+		this.data.host = document.createElement("div");
+		this.data.element = document.createElement("div");
+		this.data.host.attachShadow({ mode: "open" }).append(this.data.element);
+		document.body.append(this.data.host);
+	},
+
+	afterEach () {
+		this.data.host.remove();
+	},
+
+	run (create) {
+		let { element } = this.data;
+		let observer, listener;
+
+		return settle(resolve => {
+			listener = resolve;
+			document.addEventListener("stylechange", listener, { once: true });
+			observer = create(element);
+			element.style.opacity = "0.5";
+		}, "Didn't fire")
+			.then(event => {
+				if (!(event instanceof StyleChangeEvent)) {
+					return event;
+				}
+
+				let { property, value, oldValue } = event;
+				return { property, value, oldValue };
+			})
+			.finally(() => {
+				document.removeEventListener("stylechange", listener);
+				observer.disconnect();
+			});
+	},
+
+	tests: [
+		{
+			name: "dispatchEvents option",
+			arg: element => new StyleObserver(() => {}, { target: element, properties: "opacity", dispatchEvents: true }),
+			expect: { property: "opacity", value: "0.5", oldValue: "1" },
+		},
+		{
+			name: "StyleObserver.observeWithEvents()",
+			arg: element => StyleObserver.observeWithEvents(element, "opacity"),
+			expect: { property: "opacity", value: "0.5", oldValue: "1" },
+		},
+		{
+			name: "No events by default",
+			arg: element => new StyleObserver(() => {}, { target: element, properties: "opacity" }),
+			expect: "Didn't fire",
+		},
+	],
+};
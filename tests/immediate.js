@@ -0,0 +1,66 @@
+import StyleObserver from "../index.js";
+import { wait } from "../src/util.js";
+
+export default {
+	name: "The immediate option",
+
+	beforeEach () {
+		this.data.elements = ["el-1", "el-2"].map(id => {
+			let element = Object.assign(document.createElement("div"), { id });
+			element.style.setProperty("--foo", "bar");
+			element.style.opacity = "0.5";
+			document.body.append(element);
+			return element;
+		});
+	},
+
+	run ({ constructorOption, observeOption }) {
+		let { elements } = this.data;
+		let calls = [];
+		let observer = new StyleObserver(records => calls.push(records), { immediate: constructorOption });
+		observer.observe(elements, ["--foo", "opacity"], { immediate: observeOption });
+
+		return wait(300)
+			.then(() => calls.map(records => records.map(({ target, property, value, oldValue }) => {
+				return `${ target.id } ${ property }: ${ oldValue } → ${ value }`;
+			})))
+			.finally(() => observer.disconnect());
+	},
+
+	afterEach () {
+		this.data.elements.forEach(element => element.remove());
+	},
+
+	tests: [
+		{
+			name: "Constructor option",
+			arg: { constructorOption: true },
+			expect: [[
+				"el-1 --foo: undefined → bar",
+				"el-1 opacity: undefined → 0.5",
+				"el-2 --foo: undefined → bar",
+				"el-2 opacity: undefined → 0.5",
+			]],
+		},
+		{
+			name: "observe() option",
+			arg: { observeOption: true },
+			expect: [[
+				"el-1 --foo: undefined → bar",
+				"el-1 opacity: undefined → 0.5",
+				"el-2 --foo: undefined → bar",
+				"el-2 opacity: undefined → 0.5",
+			]],
+		},
+		{
+			name: "observe() option overrides constructor option",
+			arg: { constructorOption: true, observeOption: false },
+			expect: [],
+		},
+		{
+			name: "Off by default",
+			arg: {},
+			expect: [],
+		},
+	],
+};
@@ -12,6 +12,31 @@ let tests = await Promise.all([
 	"util",
 	"reflow",
 	"disconnected",
+	"disconnect",
+	"take-records",
+	"batching",
+	"immediate",
+	"pseudo",
+	"animations",
+	"polling",
+	"backends",
+	"selectors",
+	"slots",
+	"typed",
+	"parse",
+	"equals",
+	"normalize",
+	"thresholds",
+	"shorthands",
+	"scheduling",
+	"watch",
+	"events",
+	"wait-for",
+	"custom-elements",
+	"controller",
+	"store",
+	"signals",
+	"causes",
 ].map(name => import(`./${name}.js`).then(module => module.default)));
 
 
@@ -0,0 +1,95 @@
+import StyleObserver from "../index.js";
+import resolveValue from "../src/util/resolve-value.js";
+import { withElement, settle } from "./util/fixtures.js";
+
+export default {
+	name: "Normalizing values",
+
+	tests: [
+		{
+			name: "The normalize option",
+
+			...withElement(),
+
+			run (normalize, from, to) {
+				let { element } = this.data;
+				element.style.setProperty("--normalize-test", from);
+				let observer;
+
+				return settle(resolve => {
+					observer = new StyleObserver(records => resolve(records.map(record => record.value)), {
+						target: element,
+						properties: { "--normalize-test": { normalize } },
+					});
+
+					element.style.setProperty("--normalize-test", to);
+				}, "Didn't fire").finally(() => observer.disconnect());
+			},
+
+			tests: [
+				{
+					name: "Whitespace",
+					args: [true, "1rem  2rem", " 1rem 2rem"],
+					expect: "Didn't fire",
+				},
+				{
+					name: "Syntax",
+					args: ["<color>", "#fff", "white"],
+					expect: "Didn't fire",
+				},
+				{
+					name: "Function",
+					args: [(property, value) => value.toLowerCase(), "Foo", "FOO"],
+					expect: "Didn't fire",
+				},
+				{
+					name: "Values are reported normalized",
+					args: ["<color>", "#fff", "red"],
+					expect: ["rgb(255, 0, 0)"],
+				},
+			],
+		},
+		{
+			name: "resolveValue()",
+			run: resolveValue,
+			tests: [
+				{
+					args: ["white", "<color>"],
+					expect: "rgb(255, 255, 255)",
+				},
+				{
+					args: ["calc(10px + 5px)", "<length>"],
+					expect: "15px",
+				},
+				{
+					args: ["1turn", "<angle>"],
+					expect: "360deg",
+				},
+				{
+					name: "Repeated values do not touch the DOM",
+					run () {
+						resolveValue("#f00", "<color>");
+
+						let mo = new MutationObserver(() => {});
+						mo.observe(document.documentElement, { childList: true });
+						resolveValue("#f00", "<color>");
+						let mutations = mo.takeRecords();
+						mo.disconnect();
+
+						return mutations.length;
+					},
+					expect: 0,
+				},
+				{
+					name: "Leaves the DOM as it was",
+					run () {
+						let before = document.documentElement.children.length;
+						resolveValue("white", "<color>");
+						return document.documentElement.children.length - before;
+					},
+					expect: 0,
+				},
+			],
+		},
+	],
+};
@@ -0,0 +1,39 @@
+import StyleObserver from "../index.js";
+import { withElement, settle } from "./util/fixtures.js";
+
+export default {
+	name: "Parsing values",
+
+	...withElement({ setup: element => element.style.setProperty("--parse-test", "1") }),
+
+	run (properties, value) {
+		let { element } = this.data;
+		let observer;
+
+		return settle(resolve => {
+			observer = new StyleObserver(([record]) => {
+				resolve([record.parsedOldValue, record.parsedValue]);
+			}, { target: element, properties });
+
+			element.style.setProperty("--parse-test", value);
+		}, "Didn't fire").finally(() => observer.disconnect());
+	},
+
+	tests: [
+		{
+			name: "Parser function",
+			args: [{ "--parse-test": Number }, "3"],
+			expect: [1, 3],
+		},
+		{
+			name: "Per-property options object",
+			args: [{ "--parse-test": { parse: value => value.split(",").map(item => item.trim()) } }, "a, b"],
+			expect: [["1"], ["a", "b"]],
+		},
+		{
+			name: "No parser",
+			args: [["--parse-test"], "3"],
+			expect: [undefined, undefined],
+		},
+	],
+};
@@ -0,0 +1,70 @@
+import StyleObserver from "../index.js";
+import { withElement, settle } from "./util/fixtures.js";
+
+export default {
+	name: "Properties that cannot be transitioned",
+
+	...withElement({ setup: element => (element.style.transition = "color 1s") }),
+
+	tests: [
+		{
+			name: "Changes are detected",
+
+			run (property, value) {
+				let { element } = this.data;
+				let observer;
+
+				return settle(resolve => {
+					observer = new StyleObserver(records => resolve(records[0].value), {
+						target: element,
+						properties: [property, "opacity"],
+					});
+
+					element.style.setProperty(property, value);
+				}).finally(() => observer.disconnect());
+			},
+
+			tests: [
+				{
+					args: ["animation-name", "foo"],
+					expect: "foo",
+				},
+				{
+					args: ["transition-duration", "2s"],
+					expect: "2s",
+				},
+				{
+					args: ["direction", "rtl"],
+					expect: "rtl",
+				},
+			],
+		},
+		{
+			name: "The observer’s own transitions are not reported",
+
+			run (property) {
+				let { element } = this.data;
+				let observer;
+
+				return settle(resolve => {
+					observer = new StyleObserver(records => resolve(records[0].value), {
+						target: element,
+						properties: [property, "opacity"],
+						immediate: true,
+					});
+				}).finally(() => observer.disconnect());
+			},
+
+			tests: [
+				{
+					args: ["transition-property"],
+					expect: "color",
+				},
+				{
+					args: ["transition-duration"],
+					expect: "1s",
+				},
+			],
+		},
+	],
+};
@@ -0,0 +1,83 @@
+import StyleObserver from "../index.js";
+import adoptCSS from "../src/util/adopt-css.js";
+import { withElement, settle } from "./util/fixtures.js";
+
+adoptCSS(`
+	.pseudo-test::before,
+	.pseudo-test::after {
+		content: "";
+	}
+
+	.pseudo-test.changed::before {
+		--pseudo-test: foo;
+		color: rgb(255, 0, 0);
+	}
+`);
+
+export default {
+	name: "Pseudo-elements",
+
+	...withElement({ setup: element => (element.className = "pseudo-test") }),
+
+	run (target, property) {
+		let { element } = this.data;
+		let observer;
+
+		if (target.pseudo) {
+			target = { element, pseudo: target.pseudo };
+		}
+		else {
+			target = element;
+		}
+
+		return settle(resolve => {
+			observer = new StyleObserver(records => {
+				resolve(records.map(({ pseudo, property, value }) => ({ pseudo, property, value })));
+			}, { target, properties: property });
+
+			element.classList.add("changed");
+		}, "Didn't fire").finally(() => observer.disconnect());
+	},
+
+	tests: [
+		{
+			name: "Custom property",
+			args: [{ pseudo: "::before" }, "--pseudo-test"],
+			expect: [{ pseudo: "::before", property: "--pseudo-test", value: "foo" }],
+		},
+		{
+			name: "Built-in property",
+			args: [{ pseudo: "::before" }, "color"],
+			expect: [{ pseudo: "::before", property: "color", value: "rgb(255, 0, 0)" }],
+		},
+		{
+			name: "Legacy single colon syntax",
+			args: [{ pseudo: ":before" }, "color"],
+			expect: [{ pseudo: "::before", property: "color", value: "rgb(255, 0, 0)" }],
+		},
+		{
+			name: "Other pseudo-elements are not affected",
+			args: [{ pseudo: "::after" }, "color"],
+			expect: "Didn't fire",
+		},
+		{
+			name: "The originating element is not affected",
+			args: [{}, "color"],
+			expect: "Didn't fire",
+		},
+		{
+			name: "Clean up after disconnecting",
+			run () {
+				let { element } = this.data;
+				let observer = new StyleObserver(() => {}, {
+					target: { element, pseudo: "::before" },
+					properties: "color",
+				});
+				observer.disconnect();
+
+				return element.hasAttribute("data-style-observer-id");
+			},
+			expect: false,
+		},
+	],
+};
@@ -0,0 +1,108 @@
+import StyleObserver from "../index.js";
+import Scheduler from "../src/scheduler.js";
+import { wait } from "../src/util.js";
+import { withElement } from "./util/fixtures.js";
+
+/**
+ * Schedule calls at the given times (in ms) and return the times (rounded to 100s of ms) the callback was called at.
+ */
+async function callTimes (timing, times, duration) {
+	let scheduler = new Scheduler();
+	let key = {};
+	let start = performance.now();
+	let ret = [];
+	let callback = () => ret.push(Math.round((performance.now() - start) / 100) * 100);
+
+	for (let time of times) {
+		await wait(time - (performance.now() - start));
+		scheduler.schedule(key, timing, callback);
+	}
+
+	await wait(duration - (performance.now() - start));
+	return ret;
+}
+
+export default {
+	name: "Throttling and debouncing",
+
+	tests: [
+		{
+			name: "Scheduler",
+			run: callTimes,
+			tests: [
+				{
+					name: "Trailing throttle",
+					args: [{ type: "throttle", wait: 200, leading: false, trailing: true }, [0, 100, 300], 800],
+					expect: [200, 500],
+				},
+				{
+					name: "Leading throttle",
+					args: [{ type: "throttle", wait: 200, leading: true, trailing: true }, [0, 100, 300], 800],
+					expect: [0, 200, 400],
+				},
+				{
+					name: "Leading throttle, single call",
+					args: [{ type: "throttle", wait: 200, leading: true, trailing: false }, [0], 400],
+					expect: [0],
+				},
+				{
+					name: "Leading throttle without trailing call",
+					args: [{ type: "throttle", wait: 200, leading: true, trailing: false }, [0, 100, 300], 800],
+					expect: [0, 300],
+				},
+				{
+					name: "Debounce",
+					args: [{ type: "debounce", wait: 200 }, [0, 100, 200], 800],
+					expect: [400],
+				},
+				{
+					name: "Debounce with maxWait",
+					args: [{ type: "debounce", wait: 200, maxWait: 300 }, [0, 100, 200, 250, 400], 900],
+					expect: [300, 600],
+				},
+			],
+		},
+		{
+			name: "Observer options",
+
+			...withElement(),
+
+			async run (options) {
+				let { element } = this.data;
+				let calls = [];
+				let observer = new StyleObserver(records => calls.push(records.map(record => record.value)), {
+					target: element,
+					...options,
+				});
+
+				for (let value of ["0.1", "0.2", "0.3"]) {
+					element.style.opacity = value;
+					await wait(100);
+				}
+
+				await wait(500);
+				observer.disconnect();
+
+				return calls;
+			},
+
+			tests: [
+				{
+					name: "Debounce",
+					arg: { properties: "opacity", debounce: 250 },
+					expect: [["0.3"]],
+				},
+				{
+					name: "Per-property debounce",
+					arg: { properties: { opacity: { debounce: 250 } } },
+					expect: [["0.3"]],
+				},
+				{
+					name: "Leading throttle",
+					arg: { properties: "opacity", throttle: { wait: 250, leading: true } },
+					expect: [["0.1"], ["0.3"]],
+				},
+			],
+		},
+	],
+};
@@ -0,0 +1,250 @@
+import StyleObserver from "../index.js";
+import { settle } from "./util/fixtures.js";
+
+/**
+ * Resolve with the values of the first records delivered, or "Didn't fire" after a timeout.
+ */
+function firstValues (callback) {
+	return settle(resolve => {
+		callback(records => resolve(records.map(record => record.value)));
+	}, "Didn't fire");
+}
+
+function tick () {
+	return new Promise(resolve => setTimeout(resolve));
+}
+
+export default {
+	name: "Selectors",
+
+	beforeEach () {
+		this.data.container = document.createElement("div");
+		document.body.append(this.data.container);
+	},
+
+	afterEach () {
+		this.data.observer?.disconnect();
+		this.data.container.remove();
+	},
+
+	tests: [
+		{
+			name: "Observe elements added later",
+			async run () {
+				let { container } = this.data;
+				let element = Object.assign(document.createElement("div"), { className: "selector-test" });
+
+				return firstValues(async callback => {
+					this.data.observer = new StyleObserver(callback, {
+						targets: { selector: ".selector-test", root: container },
+						properties: "opacity",
+					});
+
+					container.append(element);
+					await tick();
+					element.style.opacity = "0.5";
+				});
+			},
+			expect: ["0.5"],
+		},
+		{
+			name: "Observe elements that start matching",
+			async run () {
+				let { container } = this.data;
+				let element = document.createElement("div");
+				container.append(element);
+
+				return firstValues(async callback => {
+					this.data.observer = new StyleObserver(callback, {
+						targets: { selector: ".selector-test", root: container },
+						properties: "opacity",
+					});
+
+					element.classList.add("selector-test");
+					await tick();
+					element.style.opacity = "0.5";
+				});
+			},
+			expect: ["0.5"],
+		},
+		{
+			name: "Unobserve elements that are removed",
+			async run () {
+				let { container } = this.data;
+				let element = Object.assign(document.createElement("div"), { className: "selector-test" });
+				container.append(element);
+
+				let observer = (this.data.observer = new StyleObserver(() => {}, {
+					targets: { selector: ".selector-test", root: container },
+					properties: "opacity",
+				}));
+
+				element.remove();
+				await tick();
+
+				return observer.elementObservers.has(element);
+			},
+			expect: false,
+		},
+		{
+			name: "Elements that start matching a pseudo-class",
+			async run () {
+				let { container } = this.data;
+				let button = container.appendChild(document.createElement("button"));
+
+				let observer = (this.data.observer = new StyleObserver(() => {}, {
+					targets: { selector: "button:disabled", root: container },
+					properties: "opacity",
+				}));
+
+				button.disabled = true;
+				await tick();
+
+				return observer.elementObservers.has(button);
+			},
+			expect: true,
+		},
+		{
+			name: "Structural pseudo-classes",
+			async run () {
+				let { container } = this.data;
+				let first = container.appendChild(document.createElement("div"));
+
+				let observer = (this.data.observer = new StyleObserver(() => {}, {
+					targets: { selector: "div:first-child", root: container, subtree: false },
+					properties: "opacity",
+				}));
+
+				let newFirst = document.createElement("div");
+				container.prepend(newFirst);
+				await tick();
+
+				return [observer.elementObservers.has(newFirst), observer.elementObservers.has(first)];
+			},
+			expect: [true, false],
+		},
+		{
+			name: "Sibling combinators",
+			async run () {
+				let { container } = this.data;
+				let card = Object.assign(document.createElement("div"), { className: "card" });
+				container.append(card);
+
+				let observer = (this.data.observer = new StyleObserver(() => {}, {
+					targets: { selector: ".selector-test + .card", root: container },
+					properties: "opacity",
+				}));
+
+				card.before(Object.assign(document.createElement("div"), { className: "selector-test" }));
+				await tick();
+
+				return observer.elementObservers.has(card);
+			},
+			expect: true,
+		},
+		{
+			name: "Unobserving the selector",
+			async run () {
+				let { container } = this.data;
+				let target = { selector: ".selector-test", root: container };
+				let element = Object.assign(document.createElement("div"), { className: "selector-test" });
+
+				return firstValues(async callback => {
+					this.data.observer = new StyleObserver(callback, { targets: target, properties: "opacity" });
+					this.data.observer.unobserve(target);
+
+					container.append(element);
+					await tick();
+					element.style.opacity = "0.5";
+				});
+			},
+			expect: "Didn't fire",
+		},
+		{
+			name: "Only children with subtree: false",
+			async run () {
+				let { container } = this.data;
+				let child = Object.assign(document.createElement("div"), { className: "selector-test" });
+				let grandchild = Object.assign(document.createElement("div"), { className: "selector-test" });
+				child.append(grandchild);
+				container.append(child);
+
+				return firstValues(async callback => {
+					this.data.observer = new StyleObserver(callback, {
+						targets: { selector: ".selector-test", root: container, subtree: false },
+						properties: "opacity",
+					});
+
+					grandchild.style.opacity = "0.5";
+					await tick();
+					child.style.opacity = "0.3";
+				});
+			},
+			expect: ["0.3"],
+		},
+		{
+			name: "Elements in open shadow roots",
+			async run () {
+				let { container } = this.data;
+				let host = document.createElement("div");
+				host.attachShadow({ mode: "open" });
+				container.append(host);
+
+				let element = Object.assign(document.createElement("div"), { className: "selector-test" });
+
+				return firstValues(async callback => {
+					this.data.observer = new StyleObserver(callback, {
+						targets: { selector: ".selector-test", root: container },
+						properties: "opacity",
+					});
+
+					host.shadowRoot.append(element);
+					await tick();
+					element.style.opacity = "0.5";
+				});
+			},
+			expect: ["0.5"],
+		},
+		{
+			name: "Elements that start matching because of an ancestor",
+			async run () {
+				let { container } = this.data;
+				let parent = document.createElement("div");
+				let element = Object.assign(document.createElement("div"), { className: "selector-test" });
+				parent.append(element);
+				container.append(parent);
+
+				return firstValues(async callback => {
+					this.data.observer = new StyleObserver(callback, {
+						targets: { selector: ".selector-parent > .selector-test", root: container },
+						properties: "opacity",
+					});
+
+					parent.classList.add("selector-parent");
+					await tick();
+					element.style.opacity = "0.5";
+				});
+			},
+			expect: ["0.5"],
+		},
+		{
+			name: "Unobserve elements that stop matching",
+			async run () {
+				let { container } = this.data;
+				let element = Object.assign(document.createElement("div"), { className: "selector-test" });
+				container.append(element);
+
+				let observer = (this.data.observer = new StyleObserver(() => {}, {
+					targets: { selector: ".selector-test", root: container },
+					properties: "opacity",
+				}));
+
+				element.classList.remove("selector-test");
+				await tick();
+
+				return [observer.elementObservers.has(element), element.getAttribute("style")];
+			},
+			expect: [false, null],
+		},
+	],
+};
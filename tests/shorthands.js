@@ -0,0 +1,34 @@
+import StyleObserver from "../index.js";
+import { withElement, settle } from "./util/fixtures.js";
+
+export default {
+	name: "Shorthands",
+
+	...withElement({ setup: element => (element.style.margin = "0px") }),
+
+	run (shorthands) {
+		let { element } = this.data;
+		let observer;
+
+		return settle(resolve => {
+			observer = new StyleObserver(records => {
+				resolve(records.map(({ property, value }) => `${ property }: ${ value }`));
+			}, { target: element, properties: "margin", shorthands });
+
+			element.style.marginTop = "10px";
+		}, "Didn't fire").finally(() => observer.disconnect());
+	},
+
+	tests: [
+		{
+			name: "Shorthand records (default)",
+			arg: undefined,
+			expect: ["margin: 10px 0px 0px"],
+		},
+		{
+			name: "Longhand records",
+			arg: "longhands",
+			expect: ["margin-top: 10px"],
+		},
+	],
+};
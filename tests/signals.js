@@ -0,0 +1,187 @@
+import { styleSignal, styleComputed, tc39Adapter } from "../index.js";
+import { wait } from "../src/util.js";
+import { withElement } from "./util/fixtures.js";
+
+/**
+ * A minimal signal implementation, where watching is triggered manually.
+ */
+function createAdapter () {
+	let states = [];
+
+	return {
+		states,
+		state (value, hooks) {
+			let state = {
+				value,
+				get: () => state.value,
+				set: value => (state.value = value),
+				watch: () => hooks.watched(),
+				unwatch: () => hooks.unwatched(),
+			};
+			states.push(state);
+			return state;
+		},
+		computed (fn) {
+			return { get: fn };
+		},
+	};
+}
+
+/**
+ * Just enough of the TC39 Signals API to check what the adapter passes to it.
+ */
+const FakeSignal = {
+	states: [],
+	State: class {
+		constructor (value, options) {
+			Object.assign(this, { value, options });
+			FakeSignal.states.push(this);
+		}
+
+		get () {
+			return this.value;
+		}
+
+		set (value) {
+			this.value = value;
+		}
+	},
+	Computed: class {
+		constructor (fn) {
+			this.fn = fn;
+		}
+
+		get () {
+			return this.fn();
+		}
+	},
+	subtle: {
+		watched: Symbol("watched"),
+		unwatched: Symbol("unwatched"),
+	},
+};
+
+export default {
+	name: "Signals",
+
+	...withElement({
+		setup (element) {
+			FakeSignal.states = [];
+			element.style.setProperty("--signal-test", "foo");
+			this.data.adapter = createAdapter();
+		},
+		cleanup () {
+			this.data.adapter.states.forEach(state => state.unwatch());
+		},
+	}),
+
+	tests: [
+		{
+			name: "Initial value",
+			run () {
+				let { element, adapter } = this.data;
+				return styleSignal(element, "--signal-test", { adapter }).get();
+			},
+			expect: "foo",
+		},
+		{
+			name: "Tracks changes while watched",
+			async run () {
+				let { element, adapter } = this.data;
+				let signal = styleSignal(element, "--signal-test", { adapter });
+				adapter.states[0].watch();
+
+				element.style.setProperty("--signal-test", "bar");
+				await wait(200);
+
+				return signal.get();
+			},
+			expect: "bar",
+		},
+		{
+			name: "Reads the current value while not watched",
+			run () {
+				let { element, adapter } = this.data;
+				let signal = styleSignal(element, "--signal-test", { adapter });
+				element.style.setProperty("--signal-test", "bar");
+
+				return signal.get();
+			},
+			expect: "bar",
+		},
+		{
+			name: "Reading while not watched updates the state",
+			run () {
+				let { element, adapter } = this.data;
+				let signal = styleSignal(element, "--signal-test", { adapter });
+				element.style.setProperty("--signal-test", "bar");
+				signal.get();
+
+				// So that signals derived from it are not stale either
+				return adapter.states[0].value["--signal-test"];
+			},
+			expect: "bar",
+		},
+		{
+			name: "Stops observing when unwatched",
+			async run () {
+				let { element, adapter } = this.data;
+				let signal = styleSignal(element, "--signal-test", { adapter });
+				adapter.states[0].watch();
+				adapter.states[0].unwatch();
+
+				element.style.setProperty("--signal-test", "bar");
+				await wait(200);
+
+				return [adapter.states[0].value["--signal-test"], signal.get()];
+			},
+			expect: ["foo", "bar"],
+		},
+		{
+			name: "styleComputed()",
+			async run () {
+				let { element, adapter } = this.data;
+				let signal = styleComputed(element, ["--signal-test", "opacity"], values => {
+					return `${ values["--signal-test"] } ${ values.opacity }`;
+				}, { adapter });
+				adapter.states.forEach(state => state.watch());
+
+				element.style.opacity = "0.5";
+				await wait(200);
+
+				// A single state (and observer) for all properties
+				return [signal.get(), adapter.states.length];
+			},
+			expect: ["foo 0.5", 1],
+		},
+		{
+			name: "tc39Adapter()",
+			async run () {
+				let { element } = this.data;
+				let signal = styleSignal(element, "--signal-test", { adapter: tc39Adapter(FakeSignal) });
+				let [state] = FakeSignal.states;
+				state.options[FakeSignal.subtle.watched]();
+
+				element.style.setProperty("--signal-test", "bar");
+				await wait(200);
+				state.options[FakeSignal.subtle.unwatched]();
+
+				return [state.value["--signal-test"], signal.get()];
+			},
+			expect: ["bar", "bar"],
+		},
+		{
+			name: "Returns signals of the adapter",
+			run () {
+				let { element } = this.data;
+				let adapter = tc39Adapter(FakeSignal);
+
+				return [
+					styleSignal(element, "--signal-test", { adapter }) instanceof FakeSignal.Computed,
+					styleComputed(element, ["--signal-test"], values => values, { adapter }) instanceof FakeSignal.Computed,
+				];
+			},
+			expect: [true, true],
+		},
+	],
+};
@@ -0,0 +1,52 @@
+import StyleObserver from "../index.js";
+import { settle } from "./util/fixtures.js";
+
+export default {
+	name: "Slot moves",
+
+	beforeEach () {
+		let host = (this.data.host = document.createElement("div"));
+		host.attachShadow({ mode: "open" }).innerHTML = `
+			<div style="--slot-test: a"><slot name="a"></slot></div>
+			<div style="--slot-test: b"><slot name="b"></slot></div>
+		`;
+
+		this.data.element = Object.assign(document.createElement("div"), { slot: "a" });
+		this.data.wrapper = Object.assign(document.createElement("div"), { slot: "a" });
+		this.data.wrapper.append(this.data.nested = document.createElement("div"));
+		host.append(this.data.element, this.data.wrapper);
+		document.body.append(host);
+	},
+
+	afterEach () {
+		this.data.host.remove();
+	},
+
+	run (targetName, move) {
+		let target = this.data[targetName];
+		let moved = this.data[move];
+		let observer;
+
+		return settle(resolve => {
+			observer = new StyleObserver(records => resolve(records.map(record => record.value)), {
+				target,
+				properties: "--slot-test",
+			});
+
+			moved.slot = "b";
+		}, "Didn't fire").finally(() => observer.disconnect());
+	},
+
+	tests: [
+		{
+			name: "Slotted element moved to another slot",
+			args: ["element", "element"],
+			expect: ["b"],
+		},
+		{
+			name: "Slotted ancestor moved to another slot",
+			args: ["nested", "wrapper"],
+			expect: ["b"],
+		},
+	],
+};
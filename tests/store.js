@@ -0,0 +1,77 @@
+import { createStyleStore } from "../index.js";
+import { wait } from "../src/util.js";
+import { withElement } from "./util/fixtures.js";
+
+export default {
+	name: "Style stores",
+
+	...withElement({
+		setup (element) {
+			element.style.setProperty("--store-test", "foo");
+			this.data.store = createStyleStore(element, ["--store-test", "opacity"]);
+		},
+	}),
+
+	tests: [
+		{
+			name: "Snapshots",
+			run () {
+				let { store } = this.data;
+				let snapshot = store.getSnapshot();
+
+				return [snapshot, Object.isFrozen(snapshot), store.getSnapshot() === snapshot];
+			},
+			expect: [{ "--store-test": "foo", opacity: "1" }, true, true],
+		},
+		{
+			name: "Subscribers are called right away and on changes",
+			async run () {
+				let { element, store } = this.data;
+				let calls = [];
+				let unsubscribe = store.subscribe(snapshot => calls.push(snapshot["--store-test"]));
+
+				element.style.setProperty("--store-test", "bar");
+				await wait(200);
+				unsubscribe();
+
+				return calls;
+			},
+			expect: ["foo", "bar"],
+		},
+		{
+			name: "Snapshots only change when values do",
+			async run () {
+				let { element, store } = this.data;
+				let unsubscribe = store.subscribe(() => {});
+				let before = store.getSnapshot();
+
+				element.style.setProperty("--unrelated", "bar");
+				await wait(200);
+				let unchanged = store.getSnapshot() === before;
+
+				element.style.opacity = "0.5";
+				await wait(200);
+				let changed = store.getSnapshot() !== before;
+
+				unsubscribe();
+				return [unchanged, changed];
+			},
+			expect: [true, true],
+		},
+		{
+			name: "No calls after unsubscribing",
+			async run () {
+				let { element, store } = this.data;
+				let calls = 0;
+				let unsubscribe = store.subscribe(() => calls++);
+				unsubscribe();
+
+				element.style.setProperty("--store-test", "bar");
+				await wait(200);
+
+				return [calls, store.getSnapshot()["--store-test"]];
+			},
+			expect: [1, "bar"],
+		},
+	],
+};
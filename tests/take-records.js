@@ -0,0 +1,37 @@
+import StyleObserver from "../index.js";
+import { wait } from "../src/util.js";
+import { withElement } from "./util/fixtures.js";
+
+export default {
+	name: "takeRecords()",
+
+	...withElement(),
+
+	run (property, value) {
+		let { element } = this.data;
+		let called = false;
+		let observer = new StyleObserver(() => (called = true), { target: element, properties: property });
+
+		element.style.setProperty(property, value);
+
+		// Taken synchronously, before any transition events could fire
+		let records = observer.takeRecords().map(record => record.value);
+
+		return wait(300)
+			.then(() => ({ records, called }))
+			.finally(() => observer.disconnect());
+	},
+
+	tests: [
+		{
+			name: "Built-in property",
+			args: ["opacity", "0.5"],
+			expect: { records: ["0.5"], called: false },
+		},
+		{
+			name: "Custom property",
+			args: ["--foo", "bar"],
+			expect: { records: ["bar"], called: false },
+		},
+	],
+};
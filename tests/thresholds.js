@@ -0,0 +1,66 @@
+import StyleObserver from "../index.js";
+import { wait } from "../src/util.js";
+import { withElement } from "./util/fixtures.js";
+
+export default {
+	name: "Thresholds",
+
+	...withElement({ setup: element => element.style.setProperty("--thresholds-test", "0") }),
+
+	run (config, values) {
+		let { element } = this.data;
+		let calls = [];
+		let observer = new StyleObserver(records => {
+			calls.push(...records.map(({ value, threshold }) => `${ value } (${ threshold })`));
+		}, { target: element, properties: { "--thresholds-test": config } });
+
+		return values
+			.reduce((promise, value) => promise.then(() => {
+				element.style.setProperty("--thresholds-test", value);
+				return wait(100);
+			}), Promise.resolve())
+			.then(() => calls)
+			.finally(() => observer.disconnect());
+	},
+
+	tests: [
+		{
+			name: "Only report band changes",
+			args: [{ thresholds: [0.25, 0.5, 0.75] }, ["0.1", "0.2", "0.3", "0.4", "0.8", "0.5"]],
+			expect: ["0.3 (1)", "0.8 (3)", "0.5 (1)"],
+		},
+		{
+			name: "Not a number",
+			args: [{ thresholds: [0.5] }, ["foo", "bar", "1"]],
+			expect: ["foo (-1)", "1 (1)"],
+		},
+		{
+			name: "Parsed values",
+			args: [{ parse: value => value.length, thresholds: [2] }, ["a", "ab", "abc"]],
+			expect: ["abc (1)"],
+		},
+		{
+			name: "Merged changes that end up in the same band",
+			run () {
+				let { element } = this.data;
+				let observer = new StyleObserver(() => {}, {
+					target: element,
+					properties: { "--thresholds-test": { thresholds: [0.5] } },
+				});
+				let property = "--thresholds-test";
+
+				// As if both changes happened within the same frame
+				observer.changed([
+					{ target: element, property, oldValue: "0.2", value: "0.6", threshold: 1 },
+					{ target: element, property, oldValue: "0.6", value: "0.21", threshold: 0 },
+				]);
+
+				let records = observer.takeRecords();
+				observer.disconnect();
+
+				return records.length;
+			},
+			expect: 0,
+		},
+	],
+};
@@ -0,0 +1,71 @@
+import StyleObserver from "../index.js";
+import adoptCSS from "../src/util/adopt-css.js";
+import { withElement, settle } from "./util/fixtures.js";
+
+adoptCSS(`
+	@property --typed-test-angle {
+		syntax: "<angle>";
+		inherits: true;
+		initial-value: 0deg;
+	}
+
+	.typed-test::before {
+		content: "";
+	}
+`);
+
+/**
+ * Describe a typed value, including its type unless it's a string.
+ */
+function describe (value) {
+	return typeof value === "string" ? value : `${ value?.constructor.name } ${ value }`;
+}
+
+export default {
+	name: "Typed values",
+
+	...withElement({
+		setup (element) {
+			element.className = "typed-test";
+			element.style.setProperty("--typed-test-angle", "0deg");
+		},
+	}),
+
+	run (target, property, value) {
+		let { element } = this.data;
+		let observer;
+		target = target.pseudo ? { element, pseudo: target.pseudo } : element;
+
+		return settle(resolve => {
+			observer = new StyleObserver(([record]) => {
+				resolve([describe(record.oldTypedValue), describe(record.typedValue)]);
+			}, {
+				target,
+				properties: property,
+				valueType: "typed",
+			});
+
+			element.style.setProperty(property, value);
+		}, "Didn't fire").finally(() => observer.disconnect());
+	},
+
+	tests: [
+		{
+			name: "Registered custom property",
+			skip: !globalThis.Element?.prototype.computedStyleMap,
+			args: [{}, "--typed-test-angle", "360deg"],
+			expect: ["CSSUnitValue 0deg", "CSSUnitValue 360deg"],
+		},
+		{
+			name: "Built-in property",
+			skip: !globalThis.Element?.prototype.computedStyleMap,
+			args: [{}, "opacity", "0.5"],
+			expect: ["CSSUnitValue 1", "CSSUnitValue 0.5"],
+		},
+		{
+			name: "Pseudo-elements fall back to strings",
+			args: [{ pseudo: "::before" }, "--typed-test-angle", "360deg"],
+			expect: ["0deg", "360deg"],
+		},
+	],
+};
@@ -0,0 +1,36 @@
+/**
+ * Test hooks that add a new element to the document before each test (as `this.data.element`)
+ * and remove it after it.
+ * @param {Object} [options]
+ * @param {(element: HTMLElement) => void} [options.setup] - Prepare the element, once it is in the document. Called with the test as `this`.
+ * @param {() => void} [options.cleanup] - Clean up anything else, before the element is removed. Called with the test as `this`.
+ * @returns {{ beforeEach (): void, afterEach (): void }}
+ */
+export function withElement ({ setup, cleanup } = {}) {
+	return {
+		beforeEach () {
+			this.data.element = document.createElement("div");
+			document.body.append(this.data.element);
+			setup?.call(this, this.data.element);
+		},
+
+		afterEach () {
+			cleanup?.call(this);
+			this.data.element.remove();
+		},
+	};
+}
+
+/**
+ * Like `new Promise()`, but resolves with a fallback value if nothing settles it in time.
+ * @param {(resolve: (value?: any) => void, reject: (reason?: any) => void) => void} executor
+ * @param {*} [fallback] - The value to resolve with if the promise is not settled in time.
+ * @param {number} [timeout] - How long to wait, in milliseconds.
+ * @returns {Promise<any>}
+ */
+export function settle (executor, fallback = "Timed out", timeout = 500) {
+	return new Promise((resolve, reject) => {
+		executor(resolve, reject);
+		setTimeout(resolve, timeout, fallback);
+	});
+}
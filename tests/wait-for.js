@@ -0,0 +1,59 @@
+import StyleObserver from "../index.js";
+import { withElement } from "./util/fixtures.js";
+
+export default {
+	name: "StyleObserver.waitFor()",
+
+	...withElement({ setup: element => element.style.setProperty("--state", "closed") }),
+
+	run (predicateOrValue, { value, timeout, abort } = {}) {
+		let { element } = this.data;
+		let controller = new AbortController();
+
+		let promise = StyleObserver.waitFor(element, "--state", predicateOrValue, {
+			timeout,
+			signal: controller.signal,
+		});
+
+		if (value) {
+			setTimeout(() => element.style.setProperty("--state", value), 50);
+		}
+
+		if (abort) {
+			setTimeout(() => controller.abort(abort), 50);
+		}
+
+		return promise.then(
+			({ value, oldValue }) => `${ oldValue } → ${ value }`,
+			error => error instanceof DOMException ? error.name : error,
+		);
+	},
+
+	tests: [
+		{
+			name: "Value is reached",
+			args: ["open", { value: "open" }],
+			expect: "closed → open",
+		},
+		{
+			name: "Value already matches",
+			args: ["closed"],
+			expect: "undefined → closed",
+		},
+		{
+			name: "Predicate",
+			args: [value => value.startsWith("op"), { value: "open" }],
+			expect: "closed → open",
+		},
+		{
+			name: "Timeout",
+			args: ["open", { timeout: 200 }],
+			expect: "TimeoutError",
+		},
+		{
+			name: "Abort",
+			args: ["open", { abort: "Aborted" }],
+			expect: "Aborted",
+		},
+	],
+};
@@ -0,0 +1,83 @@
+import StyleObserver from "../index.js";
+import { wait } from "../src/util.js";
+import { withElement } from "./util/fixtures.js";
+
+export default {
+	name: "StyleObserver.watch()",
+
+	...withElement(),
+
+	tests: [
+		{
+			name: "Iterate over changes",
+			async run () {
+				let { element } = this.data;
+				let ret = [];
+
+				setTimeout(() => element.style.opacity = "0.5", 50);
+
+				for await (let records of StyleObserver.watch(element, "opacity")) {
+					ret.push(...records.map(record => record.value));
+
+					if (ret.length === 1) {
+						setTimeout(() => element.style.opacity = "0.3", 50);
+					}
+					else {
+						break;
+					}
+				}
+
+				return ret;
+			},
+			expect: ["0.5", "0.3"],
+		},
+		{
+			name: "Buffer and merge records while busy",
+			async run () {
+				let { element } = this.data;
+				let iterator = StyleObserver.watch(element, "opacity");
+
+				element.style.opacity = "0.5";
+				await wait(100);
+				element.style.opacity = "0.3";
+				await wait(100);
+
+				let { value } = await iterator.next();
+				await iterator.return();
+
+				return value.map(({ oldValue, value }) => `${ oldValue } → ${ value }`);
+			},
+			expect: ["1 → 0.3"],
+		},
+		{
+			name: "Stop observing on return()",
+			async run () {
+				let { element } = this.data;
+				let iterator = StyleObserver.watch(element, "opacity");
+				let next = iterator.next();
+
+				await iterator.return();
+				element.style.opacity = "0.5";
+
+				return Promise.race([next.then(result => result.done), wait(300).then(() => "Still pending")]);
+			},
+			expect: true,
+		},
+		{
+			name: "Overlapping next() calls",
+			async run () {
+				let { element } = this.data;
+				let iterator = StyleObserver.watch(element, "opacity");
+				let first = iterator.next();
+				let second = iterator.next();
+
+				element.style.opacity = "0.5";
+				let { value } = await first;
+				await iterator.return();
+
+				return [value.map(record => record.value), await second];
+			},
+			expect: [["0.5"], { value: undefined, done: true }],
+		},
+	],
+};